@@ -2,74 +2,204 @@
 
 const MDNSResolver = require('./index');
 const MDNSServer = require('./src/server');
+const DNSServer = require('./src/dns-server');
 
 const args = process.argv.slice(2);
 
+// Exit codes by resolver error code; any other failure exits with 1
+const EXIT_CODES = {
+  ENOTFOUND: 2,
+  ETIMEOUT: 3,
+  EINVALIDNAME: 4,
+  ENOTRUNNING: 5,
+  ESTOPPED: 6
+};
+
+function exitCode(error) {
+  return EXIT_CODES[error && error.code] || 1;
+}
+
 function printUsage() {
   console.log(`
 PigeonNS - Local mDNS Resolver
 
 Usage:
   pigeonns resolve <hostname>           Resolve a .local hostname
+  pigeonns reverse <ip>                 Find the .local hostnames of an IP address
+  pigeonns subscribe <hostname>         Follow a hostname's address as it changes
   pigeonns monitor                      Monitor all mDNS traffic
   pigeonns serve                        Start HTTP API server for browsers
+  pigeonns dns                          Start a unicast DNS server for .local names
   pigeonns --help                       Show this help message
 
 Options:
-  --type <A|AAAA>                       Record type (default: A)
+  --type <type>                         Record type: A, AAAA, TXT, SRV, PTR, HINFO
+                                        or ANY (default: A)
   --timeout <ms>                        Query timeout in milliseconds (default: 5000)
   --ttl <seconds>                       Cache TTL in seconds (default: 120)
-  --port <number>                       Server port (default: 5380)
+  --port <number>                       Server port (default: 5380, dns: 5335)
   --host <address>                      Server host (default: localhost)
+  --interface <name|address>            Network interface to run mDNS on; repeat
+                                        for several (default: OS default)
+  --family <4|6|dual>                   Run mDNS over IPv4, IPv6 (ff02::fb) or
+                                        both (default: 4)
+  --unicast                             Ask for a unicast reply to the first
+                                        query (resolve and reverse)
+  --forward <address[:port]>            Upstream DNS server for names outside
+                                        .local (dns; default: refuse them)
+
+Exit codes:
+  0  Success
+  1  Usage or other error
+  2  Not found (ENOTFOUND)
+  3  Timed out (ETIMEOUT)
+  4  Invalid name or address (EINVALIDNAME)
+  5  Resolver not running (ENOTRUNNING)
+  6  Resolver stopped (ESTOPPED)
 
 Examples:
   pigeonns resolve abc123.local
   pigeonns resolve abc123 --type AAAA
+  pigeonns resolve printer._ipp._tcp --type TXT
+  pigeonns reverse 192.168.1.100
+  pigeonns subscribe abc123.local
   pigeonns monitor
+  pigeonns monitor --interface eth0 --interface docker0
+  pigeonns resolve abc123.local --type AAAA --family dual
+  pigeonns resolve abc123.local --unicast
   pigeonns serve
   pigeonns serve --port 8080 --host 0.0.0.0
+  pigeonns dns --port 5335
+  pigeonns dns --port 53 --host 0.0.0.0 --forward 1.1.1.1
   `);
 }
 
 async function resolveHostname(hostname, options) {
   const resolver = new MDNSResolver({
     timeout: options.timeout || 5000,
-    ttl: options.ttl || 120
+    ttl: options.ttl || 120,
+    interfaces: options.interfaces,
+    family: options.family,
+    unicastResponse: options.unicast
   });
 
-  console.log(`Starting resolver...`);
-  resolver.start();
-
   try {
+    console.log(`Starting resolver...`);
+    resolver.start();
+
     console.log(`Querying ${hostname}...`);
-    const address = await resolver.resolve(hostname, options.type || 'A');
-    console.log(`✓ Resolved: ${hostname} -> ${address}`);
+    const result = await resolver.resolve(hostname, options.type || 'A');
+    const output = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+    console.log(`✓ Resolved: ${hostname} -> ${output}`);
     process.exit(0);
   } catch (error) {
     console.error(`✗ Error: ${error.message}`);
-    process.exit(1);
+    process.exit(exitCode(error));
   } finally {
     resolver.stop();
   }
 }
 
-function monitor() {
-  const resolver = new MDNSResolver();
+async function reverseLookup(ip, options) {
+  const resolver = new MDNSResolver({
+    timeout: options.timeout || 5000,
+    ttl: options.ttl || 120,
+    interfaces: options.interfaces,
+    family: options.family,
+    unicastResponse: options.unicast
+  });
+
+  try {
+    console.log(`Starting resolver...`);
+    resolver.start();
+
+    console.log(`Looking up ${ip}...`);
+    const hostnames = await resolver.reverse(ip);
+    if (hostnames.length === 0) {
+      console.error(`✗ No hostname found for ${ip}`);
+      process.exit(EXIT_CODES.ENOTFOUND);
+    }
+    console.log(`✓ Resolved: ${ip} -> ${hostnames.join(', ')}`);
+    process.exit(0);
+  } catch (error) {
+    console.error(`✗ Error: ${error.message}`);
+    process.exit(exitCode(error));
+  } finally {
+    resolver.stop();
+  }
+}
+
+function subscribe(hostname, options) {
+  const resolver = new MDNSResolver({
+    timeout: options.timeout || 5000,
+    ttl: options.ttl || 120,
+    interfaces: options.interfaces,
+    family: options.family
+  });
+
+  resolver.on('error', (err) => {
+    console.error(`Error: ${err.message}`);
+  });
+
+  let subscription;
+  try {
+    resolver.start();
+    subscription = resolver.subscribe(hostname, options.type || 'A');
+  } catch (error) {
+    console.error(`✗ Error: ${error.message}`);
+    resolver.stop();
+    process.exit(exitCode(error));
+  }
+
+  console.log(`Following ${subscription.name} (${subscription.type})...`);
+  console.log('Press Ctrl+C to stop\n');
+
+  subscription.on('changed', ({ name, data }) => {
+    const timestamp = new Date().toISOString();
+    const value = typeof data === 'string' ? data : JSON.stringify(data);
+    console.log(`[${timestamp}] ${name} -> ${value}`);
+  });
+
+  subscription.on('lost', ({ name }) => {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] ${name} lost`);
+  });
+
+  // Handle graceful shutdown
+  process.on('SIGINT', () => {
+    console.log('\nStopping resolver...');
+    resolver.stop();
+    process.exit(0);
+  });
+}
+
+function monitor(options) {
+  const resolver = new MDNSResolver({
+    interfaces: options.interfaces,
+    family: options.family
+  });
 
   console.log('Starting mDNS monitor...');
   console.log('Listening for mDNS responses on the local network...');
   console.log('Press Ctrl+C to stop\n');
 
-  resolver.on('resolved', ({ name, type, address, ttl }) => {
+  resolver.on('resolved', ({ name, type, data, ttl, interface: iface }) => {
     const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ${type} ${name} -> ${address} (TTL: ${ttl}s)`);
+    const value = typeof data === 'string' ? data : JSON.stringify(data);
+    const via = iface ? ` via ${iface}` : '';
+    console.log(`[${timestamp}] ${type} ${name} -> ${value} (TTL: ${ttl}s)${via}`);
   });
 
   resolver.on('error', (err) => {
     console.error(`Error: ${err.message}`);
   });
 
-  resolver.start();
+  try {
+    resolver.start();
+  } catch (error) {
+    console.error(`✗ Error: ${error.message}`);
+    process.exit(exitCode(error));
+  }
 
   // Handle graceful shutdown
   process.on('SIGINT', () => {
@@ -84,7 +214,9 @@ async function serve(options) {
     port: options.port || 5380,
     host: options.host || 'localhost',
     timeout: options.timeout || 5000,
-    ttl: options.ttl || 120
+    ttl: options.ttl || 120,
+    interfaces: options.interfaces,
+    family: options.family
   });
 
   try {
@@ -92,7 +224,9 @@ async function serve(options) {
     console.log('PigeonNS HTTP API server started');
     console.log(`Listening on ${info.url}`);
     console.log('\nEndpoints:');
-    console.log(`  ${info.url}/resolve?name=<hostname>&type=<A|AAAA>`);
+    console.log(`  ${info.url}/resolve?name=<hostname>&type=<A|AAAA|TXT|SRV|PTR|HINFO|ANY>`);
+    console.log(`  ${info.url}/subscribe?name=<hostname>&type=<A|AAAA|TXT|SRV|PTR|HINFO>`);
+    console.log(`  ${info.url}/reverse?ip=<address>`);
     console.log(`  ${info.url}/health`);
     console.log('\nPress Ctrl+C to stop\n');
 
@@ -109,6 +243,50 @@ async function serve(options) {
   }
 }
 
+async function dnsServer(options) {
+  let server;
+  try {
+    server = new DNSServer({
+      port: options.port || 5335,
+      host: options.host || 'localhost',
+      forward: options.forward,
+      timeout: options.timeout || 5000,
+      ttl: options.ttl || 120,
+      interfaces: options.interfaces,
+      family: options.family
+    });
+  } catch (error) {
+    console.error(`✗ Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  server.on('server-error', (err) => {
+    console.error(`Error: ${err.message}`);
+  });
+
+  try {
+    const info = await server.start();
+    console.log('PigeonNS DNS server started');
+    console.log(`Listening on ${info.host}:${info.port} (UDP and TCP)`);
+    console.log(options.forward
+      ? `Forwarding other names to ${options.forward}`
+      : 'Refusing names outside .local');
+    console.log(`\nTry: dig @${info.address} -p ${info.port} abc123.local`);
+    console.log('\nPress Ctrl+C to stop\n');
+
+    // Handle graceful shutdown
+    process.on('SIGINT', async () => {
+      console.log('\nStopping server...');
+      await server.stop();
+      console.log('Server stopped');
+      process.exit(0);
+    });
+  } catch (error) {
+    console.error(`Error starting server: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 function parseArgs(args) {
   const command = args[0];
   const options = {};
@@ -127,6 +305,15 @@ function parseArgs(args) {
       options.port = parseInt(args[++i], 10);
     } else if (arg === '--host') {
       options.host = args[++i];
+    } else if (arg === '--interface') {
+      options.interfaces = (options.interfaces || []).concat(args[++i]);
+    } else if (arg === '--forward') {
+      options.forward = args[++i];
+    } else if (arg === '--unicast') {
+      options.unicast = true;
+    } else if (arg === '--family') {
+      const family = args[++i];
+      options.family = family === '4' || family === '6' ? Number(family) : family;
     } else if (!hostname) {
       hostname = arg;
     }
@@ -150,10 +337,26 @@ if (command === 'resolve') {
     process.exit(1);
   }
   resolveHostname(hostname, options);
+} else if (command === 'reverse') {
+  if (!hostname) {
+    console.error('Error: IP address is required for reverse command');
+    printUsage();
+    process.exit(1);
+  }
+  reverseLookup(hostname, options);
+} else if (command === 'subscribe') {
+  if (!hostname) {
+    console.error('Error: hostname is required for subscribe command');
+    printUsage();
+    process.exit(1);
+  }
+  subscribe(hostname, options);
 } else if (command === 'monitor') {
-  monitor();
+  monitor(options);
 } else if (command === 'serve') {
   serve(options);
+} else if (command === 'dns') {
+  dnsServer(options);
 } else {
   console.error(`Error: Unknown command '${command}'`);
   printUsage();
@@ -1,3 +1,29 @@
 const MDNSResolver = require('./src/resolver');
+const MDNSResponder = require('./src/responder');
+const ServiceBrowser = require('./src/browser');
+const RecordWatcher = require('./src/watcher');
+const RecordCache = require('./src/cache');
+const HttpApi = require('./src/api');
+const DNSServer = require('./src/dns-server');
+const {
+  NotFoundError,
+  TimeoutError,
+  AbortError,
+  NotRunningError,
+  StoppedError,
+  InvalidNameError
+} = require('./src/errors');
 
 module.exports = MDNSResolver;
+module.exports.MDNSResponder = MDNSResponder;
+module.exports.ServiceBrowser = ServiceBrowser;
+module.exports.RecordWatcher = RecordWatcher;
+module.exports.RecordCache = RecordCache;
+module.exports.HttpApi = HttpApi;
+module.exports.DNSServer = DNSServer;
+module.exports.NotFoundError = NotFoundError;
+module.exports.TimeoutError = TimeoutError;
+module.exports.AbortError = AbortError;
+module.exports.NotRunningError = NotRunningError;
+module.exports.StoppedError = StoppedError;
+module.exports.InvalidNameError = InvalidNameError;
@@ -0,0 +1,822 @@
+const http = require('http');
+const net = require('net');
+const packet = require('dns-packet');
+const { SUPPORTED_TYPES, RECORD_TYPES, resolveBody } = require('./records');
+const { NotRunningError, httpStatus } = require('./errors');
+const types = require('dns-packet/types');
+const { answerQuery, toJson, minTtl } = require('./dns');
+const WebSocketApi = require('./websocket');
+
+const DNS_MESSAGE = 'application/dns-message';
+const DNS_JSON = 'application/dns-json';
+
+// Resolver events /events can stream
+const STREAM_EVENTS = ['query', 'resolved', 'cache-hit', 'cache-cleared'];
+
+/**
+ * HTTP API for a resolver
+ *
+ * Serves the resolver over a small route table and is shared by the
+ * resolver's built-in server (`server: true`) and MDNSServer. Extra routes
+ * and middleware can be registered, and handle() is a plain
+ * `(req, res, next)` handler, so the API can also be mounted into an
+ * existing http.Server, Express or Koa app.
+ *
+ * Middleware runs for every request the API handles, in the order it was
+ * added, after CORS preflights are answered and before the route. It runs
+ * for WebSocket upgrades as well.
+ */
+class HttpApi {
+  /**
+   * @param {MDNSResolver} resolver
+   * @param {Object} [options]
+   * @param {boolean} [options.cors=true] - Send CORS headers and answer preflights
+   * @param {string} [options.prefix=''] - Path the API is served under, e.g. '/mdns'
+   * @param {number} [options.maxBatchSize=100] - Most names resolved by one request
+   * @param {number} [options.maxBodySize=65536] - Largest accepted request body
+   *   or WebSocket message in bytes
+   */
+  constructor(resolver, options = {}) {
+    this.resolver = resolver;
+    this.options = {
+      cors: options.cors !== false, // Enable CORS by default
+      maxBatchSize: options.maxBatchSize || 100,
+      maxBodySize: options.maxBodySize || 65536,
+      ...options,
+      prefix: (options.prefix || '').replace(/\/+$/, '')
+    };
+
+    this.routes = [];
+    this.middleware = [];
+    this.streams = new Set(); // Open Server-Sent Events streams
+    this.eventClients = new Set(); // /events streams and their filters
+    this.eventListeners = null; // Resolver listeners shared by eventClients
+
+    // Bound, so it can be passed straight to http.createServer() or app.use()
+    this.handler = this.handle.bind(this);
+    // Likewise for an http.Server's `upgrade` event
+    this.upgradeHandler = this.handleUpgrade.bind(this);
+
+    this.websocket = new WebSocketApi(resolver, { maxPayload: this.options.maxBodySize });
+
+    this.get('/', (req, res) => this._info(res));
+    this.get('/health', (req, res) => this._health(res), {
+      description: 'Health check and cache status',
+      examples: ['/health']
+    });
+    this.get('/resolve', (req, res, url) => this._resolve(res, url), {
+      description: `Resolve a .local hostname. Params: name (required, repeat for several), type (${SUPPORTED_TYPES.join('|')}, default: A). POST a JSON array of names to resolve several`,
+      examples: [
+        '/resolve?name=abc123.local',
+        '/resolve?name=device&type=AAAA',
+        '/resolve?name=printer._ipp._tcp&type=TXT',
+        '/resolve?name=abc123.local&name=def456.local'
+      ]
+    });
+    this.post('/resolve', (req, res, url) => this._resolveBatch(req, res, url));
+    this.get('/subscribe', (req, res, url) => this._subscribe(req, res, url), {
+      description: `Follow a .local hostname over Server-Sent Events. Params: name (required), type (${RECORD_TYPES.join('|')}, default: A)`,
+      examples: ['/subscribe?name=abc123.local']
+    });
+    this.get('/events', (req, res, url) => this._events(req, res, url), {
+      description: `Stream resolver events over Server-Sent Events. Params: events (${STREAM_EVENTS.join('|')}, comma-separated, default: all), name (name or pattern with * and ?, repeatable), type (comma-separated)`,
+      examples: ['/events', '/events?events=resolved&name=*.local&type=A,AAAA']
+    });
+    this.get('/reverse', (req, res, url) => this._reverse(res, url), {
+      description: 'Find the .local hostnames of an IP address. Params: ip (required)',
+      examples: ['/reverse?ip=192.168.1.100']
+    });
+    this.get('/dns-query', (req, res, url) => this._dnsQuery(req, res, url), {
+      description: 'DNS-over-HTTPS (RFC 8484) for .local names. GET with dns (base64url DNS message) or POST an application/dns-message body'
+    });
+    this.post('/dns-query', (req, res, url) => this._dnsQuery(req, res, url));
+    this.get('/ws', (req, res) => this.sendError(res, 426, 'Upgrade required: connect with a WebSocket client'), {
+      description: 'WebSocket API: resolve requests with correlation ids, resolved events for subscribed names and service discovery updates'
+    });
+    this.get('/resolve.json', (req, res, url) => this._dnsJson(res, url), {
+      description: 'JSON DNS API (application/dns-json) for .local names. Params: name (required), type (name or number, default: A)',
+      examples: ['/resolve.json?name=abc123.local&type=AAAA']
+    });
+  }
+
+  /**
+   * Add middleware, called as `middleware(req, res, next)`. Calling
+   * `next(err)` ends the request with an error response; not calling
+   * `next` at all leaves the response to the middleware.
+   * @param {Function} middleware
+   * @returns {HttpApi}
+   */
+  use(middleware) {
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Add a route, replacing any route with the same method and path. The
+   * handler is called as `handler(req, res, url)` with the parsed request
+   * URL; errors it throws or rejects with become error responses.
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the prefix, e.g. '/peers'
+   * @param {Function} handler
+   * @param {Object} [info] - Listed on the `/` endpoint
+   * @param {string} [info.description]
+   * @param {string[]} [info.examples]
+   * @returns {HttpApi}
+   */
+  route(method, path, handler, info = {}) {
+    method = method.toUpperCase();
+    this.routes = this.routes.filter((route) => route.method !== method || route.path !== path);
+    this.routes.push({
+      method,
+      path,
+      handler,
+      description: info.description || null,
+      examples: info.examples || []
+    });
+    return this;
+  }
+
+  /**
+   * Add a GET route (see route())
+   */
+  get(path, handler, info) {
+    return this.route('GET', path, handler, info);
+  }
+
+  /**
+   * Add a POST route (see route())
+   */
+  post(path, handler, info) {
+    return this.route('POST', path, handler, info);
+  }
+
+  /**
+   * Handle a request. Requests for paths the API does not serve are passed
+   * to `next` when it is given, and answered with 404 otherwise.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {Function} [next]
+   */
+  handle(req, res, next) {
+    const url = new URL(req.url, `http://${(req.headers && req.headers.host) || 'localhost'}`);
+    const path = this._routePath(url.pathname);
+    const routes = path === null ? [] : this.routes.filter((route) => route.path === path);
+
+    if (routes.length === 0 && typeof next === 'function') {
+      next();
+      return;
+    }
+
+    const methods = Array.from(new Set(this.routes.map((route) => route.method)));
+
+    // Enable CORS if configured
+    if (this.options.cors) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Methods', methods.concat('OPTIONS').join(', '));
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    }
+
+    // Preflights are answered before middleware, which would reject them
+    // for lacking credentials
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    this._runMiddleware(req, res, () => {
+      if (!methods.includes(req.method)) {
+        res.setHeader('Allow', methods.join(', '));
+        this.sendError(res, 405, 'Method not allowed');
+        return;
+      }
+
+      if (routes.length === 0) {
+        this.sendError(res, 404, 'Not found');
+        return;
+      }
+
+      const route = routes.find((candidate) => candidate.method === req.method);
+      if (!route) {
+        res.setHeader('Allow', routes.map((candidate) => candidate.method).join(', '));
+        this.sendError(res, 405, 'Method not allowed');
+        return;
+      }
+
+      this._dispatch(route, req, res, url);
+    });
+  }
+
+  /**
+   * Handle an HTTP upgrade request (an http.Server `upgrade` event) for the
+   * WebSocket API on `/ws`. Other upgrades are passed to `next` when it is
+   * given, and refused otherwise.
+   *
+   * Middleware runs before the upgrade, with a response written straight to
+   * the socket: answering it or calling `next(err)` refuses the upgrade.
+   * @param {http.IncomingMessage} req
+   * @param {stream.Duplex} socket
+   * @param {Buffer} head
+   * @param {Function} [next]
+   */
+  handleUpgrade(req, socket, head, next) {
+    const url = new URL(req.url, `http://${(req.headers && req.headers.host) || 'localhost'}`);
+
+    if (this._routePath(url.pathname) !== '/ws') {
+      if (typeof next === 'function') {
+        next();
+      } else {
+        socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      }
+      return;
+    }
+
+    const res = new http.ServerResponse(req);
+    res.shouldKeepAlive = false;
+    res.assignSocket(socket);
+    res.on('finish', () => socket.destroySoon());
+    // Nothing else listens for errors until the upgrade is done
+    const ignore = () => {};
+    socket.on('error', ignore);
+
+    this._runMiddleware(req, res, () => {
+      socket.removeListener('error', ignore);
+      res.detachSocket(socket);
+      this.websocket.handleUpgrade(req, socket, head);
+    });
+  }
+
+  /**
+   * End open event streams and close open WebSocket connections, which
+   * would otherwise keep the HTTP server from closing. Called when the
+   * resolver stops.
+   */
+  close() {
+    for (const stream of Array.from(this.streams)) {
+      stream.end();
+    }
+    this.websocket.close();
+  }
+
+  /**
+   * Send JSON response
+   */
+  sendJSON(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Send error response
+   */
+  sendError(res, statusCode, message, code) {
+    const body = {
+      error: message,
+      statusCode: statusCode
+    };
+    if (code) {
+      body.code = code;
+    }
+    this.sendJSON(res, statusCode, body);
+  }
+
+  /**
+   * Send the error response for a thrown error. Resolver errors map to a
+   * status by code; other errors may carry their own `statusCode`.
+   */
+  sendFailure(res, err) {
+    this.sendError(res, err.statusCode || httpStatus(err), err.message, err.code);
+  }
+
+  /**
+   * The route path of a request path, or null when it is outside the prefix
+   * @private
+   */
+  _routePath(pathname) {
+    const prefix = this.options.prefix;
+    if (!prefix) {
+      return pathname;
+    }
+    if (pathname === prefix) {
+      return '/';
+    }
+    return pathname.startsWith(`${prefix}/`) ? pathname.slice(prefix.length) : null;
+  }
+
+  /**
+   * Run the middleware chain, then `done`
+   * @private
+   */
+  _runMiddleware(req, res, done) {
+    let index = 0;
+
+    const next = (err) => {
+      if (err) {
+        this.sendFailure(res, err);
+        return;
+      }
+
+      const middleware = this.middleware[index++];
+      if (!middleware) {
+        done();
+        return;
+      }
+
+      try {
+        const result = middleware(req, res, next);
+        if (result && typeof result.catch === 'function') {
+          result.catch(next);
+        }
+      } catch (error) {
+        next(error);
+      }
+    };
+
+    next();
+  }
+
+  /**
+   * Call a route's handler and turn its errors into responses
+   * @private
+   */
+  _dispatch(route, req, res, url) {
+    const fail = (err) => {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      this.sendFailure(res, err);
+    };
+
+    try {
+      const result = route.handler(req, res, url);
+      if (result && typeof result.catch === 'function') {
+        result.catch(fail);
+      }
+    } catch (err) {
+      fail(err);
+    }
+  }
+
+  /**
+   * API info
+   * @private
+   */
+  _info(res) {
+    const endpoints = {};
+    let examples = [];
+    for (const route of this.routes) {
+      if (route.description && !endpoints[route.path]) {
+        endpoints[route.path] = route.description;
+      }
+      examples = examples.concat(route.examples.filter((example) => !examples.includes(example)));
+    }
+
+    this.sendJSON(res, 200, {
+      name: 'PigeonNS mDNS Resolution API',
+      version: '1.0.0',
+      endpoints,
+      examples
+    });
+  }
+
+  /**
+   * Health check endpoint
+   * @private
+   */
+  _health(res) {
+    this.sendJSON(res, 200, {
+      status: 'ok',
+      cache: {
+        size: this.resolver.getCacheSize(),
+        entries: this.resolver.getCache()
+      }
+    });
+  }
+
+  /**
+   * Resolution endpoint. Several `name` parameters make a batch lookup.
+   * @private
+   */
+  async _resolve(res, url) {
+    const names = url.searchParams.getAll('name').concat(url.searchParams.getAll('hostname'));
+    const type = (url.searchParams.get('type') || 'A').toUpperCase();
+
+    if (names.length === 0 || !names[0]) {
+      this.sendError(res, 400, 'Missing required parameter: name or hostname');
+      return;
+    }
+
+    if (!SUPPORTED_TYPES.includes(type)) {
+      this.sendError(res, 400, `Unsupported record type: ${type}. Supported types: ${SUPPORTED_TYPES.join(', ')}`);
+      return;
+    }
+
+    if (names.length > 1) {
+      await this._resolveMany(res, names, type);
+      return;
+    }
+
+    const result = await this.resolver.resolve(names[0], type);
+    this.sendJSON(res, 200, resolveBody(names[0], type, result));
+  }
+
+  /**
+   * Batch resolution endpoint: the body is a JSON array of names
+   * @private
+   */
+  async _resolveBatch(req, res, url) {
+    const type = (url.searchParams.get('type') || 'A').toUpperCase();
+
+    if (!SUPPORTED_TYPES.includes(type)) {
+      this.sendError(res, 400, `Unsupported record type: ${type}. Supported types: ${SUPPORTED_TYPES.join(', ')}`);
+      return;
+    }
+
+    let names = req.body;
+    if (names === undefined || Buffer.isBuffer(names) || typeof names === 'string') {
+      // Not parsed by a body parser of the app the API is mounted in
+      const body = names === undefined ? await this._readBody(req) : names;
+      try {
+        names = JSON.parse(body.toString());
+      } catch (err) {
+        this.sendError(res, 400, 'Request body must be a JSON array of names');
+        return;
+      }
+    }
+
+    if (!Array.isArray(names) || names.length === 0 || !names.every((name) => typeof name === 'string')) {
+      this.sendError(res, 400, 'Request body must be a JSON array of names');
+      return;
+    }
+
+    await this._resolveMany(res, names, type);
+  }
+
+  /**
+   * Resolve names in parallel and answer with one result per name
+   * @private
+   */
+  async _resolveMany(res, names, type) {
+    if (names.length > this.options.maxBatchSize) {
+      this.sendError(res, 400, `Too many names: ${names.length}. At most ${this.options.maxBatchSize} per request`);
+      return;
+    }
+
+    const outcomes = await this.resolver.resolveMany(names, type);
+    this.sendJSON(res, 200, {
+      type,
+      results: outcomes.map(({ name, result, error }) => {
+        if (!error) {
+          return resolveBody(name, type, result);
+        }
+        const body = resolveBody(name, type);
+        body.error = error.message;
+        body.statusCode = error.statusCode || httpStatus(error);
+        if (error.code) {
+          body.code = error.code;
+        }
+        return body;
+      })
+    });
+  }
+
+  /**
+   * Read a request body, up to `maxBodySize` bytes
+   * @private
+   * @returns {Promise<Buffer>}
+   */
+  _readBody(req) {
+    const limit = this.options.maxBodySize;
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      // The rest of a body over the limit is read and dropped, so the
+      // error response still reaches the client
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > limit) {
+          chunks.length = 0;
+          reject(Object.assign(new Error(`Request body larger than ${limit} bytes`), { statusCode: 413 }));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Subscription endpoint: follow a name's record over Server-Sent Events
+   * until the client disconnects
+   * @private
+   */
+  _subscribe(req, res, url) {
+    const hostname = url.searchParams.get('name') || url.searchParams.get('hostname');
+    const type = (url.searchParams.get('type') || 'A').toUpperCase();
+
+    if (!hostname) {
+      this.sendError(res, 400, 'Missing required parameter: name or hostname');
+      return;
+    }
+
+    if (!RECORD_TYPES.includes(type)) {
+      this.sendError(res, 400, `Unsupported record type: ${type}. Supported types: ${RECORD_TYPES.join(', ')}`);
+      return;
+    }
+
+    const watcher = this.resolver.subscribe(hostname, type);
+    const stream = this._openStream(res, () => watcher.stop());
+
+    watcher.on('changed', (payload) => stream.send('changed', payload));
+    watcher.on('lost', (payload) => stream.send('lost', payload));
+
+    // The stream ends when the resolver stops, or when the client goes away
+    watcher.once('stopped', () => stream.end());
+    req.on('close', () => stream.end());
+  }
+
+  /**
+   * Event stream endpoint: resolver events as Server-Sent Events until the
+   * client disconnects, optionally filtered by event, name pattern and type
+   * @private
+   */
+  _events(req, res, url) {
+    const events = splitParam(url.searchParams.getAll('events'));
+    const types = splitParam(url.searchParams.getAll('type')).map((type) => type.toUpperCase());
+    const names = url.searchParams.getAll('name').concat(url.searchParams.getAll('hostname'));
+
+    const unknownEvent = events.find((event) => !STREAM_EVENTS.includes(event));
+    if (unknownEvent) {
+      this.sendError(res, 400, `Unknown event: ${unknownEvent}. Events: ${STREAM_EVENTS.join(', ')}`);
+      return;
+    }
+
+    const unknownType = types.find((type) => !SUPPORTED_TYPES.includes(type));
+    if (unknownType) {
+      this.sendError(res, 400, `Unsupported record type: ${unknownType}. Supported types: ${SUPPORTED_TYPES.join(', ')}`);
+      return;
+    }
+
+    if (!this.resolver.mdns) {
+      throw new NotRunningError();
+    }
+
+    const patterns = names.map((name) => namePattern(name, (exact) => this.resolver._normalizeName(exact)));
+
+    // cache-cleared concerns every name, so it passes the name and type filters
+    const matches = (payload) => !payload || (
+      (patterns.length === 0 || patterns.some((pattern) => pattern(payload.name))) &&
+      (types.length === 0 || types.includes(payload.type))
+    );
+
+    const client = { events: events.length > 0 ? events : STREAM_EVENTS, matches };
+    client.stream = this._openStream(res, () => this._removeEventClient(client));
+    this._addEventClient(client);
+
+    // The stream ends when the resolver stops, or when the client goes away
+    req.on('close', client.stream.end);
+  }
+
+  /**
+   * Add an /events client. The resolver listeners are shared by every
+   * client and added for the first one.
+   * @private
+   */
+  _addEventClient(client) {
+    if (this.eventClients.size === 0) {
+      this.eventListeners = new Map();
+      for (const event of STREAM_EVENTS) {
+        this.eventListeners.set(event, (payload) => {
+          for (const { events, matches, stream } of this.eventClients) {
+            if (events.includes(event) && matches(payload)) {
+              stream.send(event, payload || {});
+            }
+          }
+        });
+      }
+      this.eventListeners.set('stopped', () => {
+        for (const { stream } of Array.from(this.eventClients)) {
+          stream.end();
+        }
+      });
+
+      for (const [event, listener] of this.eventListeners) {
+        this.resolver.on(event, listener);
+      }
+    }
+
+    this.eventClients.add(client);
+  }
+
+  /**
+   * Remove an /events client, and the resolver listeners with the last one
+   * @private
+   */
+  _removeEventClient(client) {
+    if (!this.eventClients.delete(client) || this.eventClients.size > 0) {
+      return;
+    }
+
+    for (const [event, listener] of this.eventListeners) {
+      this.resolver.removeListener(event, listener);
+    }
+    this.eventListeners = null;
+  }
+
+  /**
+   * Start a Server-Sent Events response. The stream is ended by close() as
+   * well, and `onEnd` is called once when it ends.
+   * @private
+   * @param {http.ServerResponse} res
+   * @param {Function} [onEnd]
+   * @returns {{send: Function, end: Function}}
+   */
+  _openStream(res, onEnd) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    // Headers are only sent with the first write otherwise, which leaves
+    // EventSource waiting for `open` until the first event
+    res.write(': connected\n\n');
+
+    // Comments keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    let ended = false;
+
+    const stream = {
+      send: (event, payload) => {
+        if (!ended) {
+          res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+        }
+      },
+      end: () => {
+        if (!ended) {
+          ended = true;
+          clearInterval(heartbeat);
+          this.streams.delete(stream);
+          res.end();
+          if (onEnd) {
+            onEnd();
+          }
+        }
+      }
+    };
+
+    this.streams.add(stream);
+    return stream;
+  }
+
+  /**
+   * DNS-over-HTTPS endpoint (RFC 8484): the query is a DNS message, in the
+   * `dns` parameter of a GET or as the body of a POST, and so is the answer
+   * @private
+   */
+  async _dnsQuery(req, res, url) {
+    let message;
+    if (req.method === 'GET') {
+      const dns = url.searchParams.get('dns');
+      // Cloudflare serves its JSON API from the same path
+      if (!dns && url.searchParams.has('name')) {
+        await this._dnsJson(res, url);
+        return;
+      }
+      if (!dns) {
+        this.sendError(res, 400, 'Missing required parameter: dns');
+        return;
+      }
+      message = Buffer.from(dns, 'base64url');
+    } else {
+      const contentType = String((req.headers && req.headers['content-type']) || '').split(';')[0].trim();
+      if (contentType !== DNS_MESSAGE) {
+        this.sendError(res, 415, `Unsupported content type: ${contentType || 'none'}. Use ${DNS_MESSAGE}`);
+        return;
+      }
+      message = Buffer.isBuffer(req.body) ? req.body : await this._readBody(req);
+    }
+
+    let query;
+    try {
+      query = packet.decode(message);
+    } catch (err) {
+      this.sendError(res, 400, 'Invalid DNS message');
+      return;
+    }
+
+    const response = await answerQuery(this.resolver, query);
+    const body = packet.encode(response);
+    const headers = {
+      'Content-Type': DNS_MESSAGE,
+      'Content-Length': body.length
+    };
+    const ttl = minTtl(response);
+    if (ttl !== null) {
+      headers['Cache-Control'] = `max-age=${ttl}`;
+    }
+
+    res.writeHead(200, headers);
+    res.end(body);
+  }
+
+  /**
+   * JSON DNS endpoint, in the format of Google's and Cloudflare's JSON APIs
+   * @private
+   */
+  async _dnsJson(res, url) {
+    const name = url.searchParams.get('name');
+    const param = url.searchParams.get('type') || 'A';
+    // Types are given by name or by number
+    const type = /^\d+$/.test(param) ? types.toString(Number(param)) : param.toUpperCase();
+
+    if (!name) {
+      this.sendError(res, 400, 'Missing required parameter: name');
+      return;
+    }
+
+    // A question's type is 16 bits on the wire, and 0 is reserved
+    const code = types.toType(type);
+    if (!(code >= 1 && code <= 65535)) {
+      this.sendError(res, 400, `Unsupported record type: ${param}`);
+      return;
+    }
+
+    const response = await answerQuery(this.resolver, {
+      flags: packet.RECURSION_DESIRED,
+      questions: [{ name: name.replace(/\.$/, ''), type, class: 'IN' }]
+    });
+
+    const headers = { 'Content-Type': DNS_JSON };
+    const ttl = minTtl(response);
+    if (ttl !== null) {
+      headers['Cache-Control'] = `max-age=${ttl}`;
+    }
+
+    res.writeHead(200, headers);
+    res.end(JSON.stringify(toJson(response), null, 2));
+  }
+
+  /**
+   * Reverse lookup endpoint
+   * @private
+   */
+  async _reverse(res, url) {
+    const ip = url.searchParams.get('ip');
+
+    if (!ip) {
+      this.sendError(res, 400, 'Missing required parameter: ip');
+      return;
+    }
+
+    if (!net.isIP(ip.split('%')[0])) {
+      this.sendError(res, 400, `Invalid IP address: ${ip}`);
+      return;
+    }
+
+    const hostnames = await this.resolver.reverse(ip);
+    if (hostnames.length === 0) {
+      this.sendError(res, 404, `No hostname found for ${ip}`);
+      return;
+    }
+    this.sendJSON(res, 200, {
+      ip: ip,
+      hostnames: hostnames
+    });
+  }
+}
+
+/**
+ * Comma-separated values of a repeatable query parameter
+ * @private
+ */
+function splitParam(values) {
+  return values
+    .flatMap((value) => value.split(','))
+    .map((value) => value.trim())
+    .filter((value) => value.length > 0);
+}
+
+/**
+ * A matcher for a name filter: a pattern with `*` and `?` wildcards, or a
+ * plain name, which is normalized like any other name
+ * @private
+ */
+function namePattern(pattern, normalize) {
+  if (!/[*?]/.test(pattern)) {
+    const name = normalize(pattern);
+    return (candidate) => candidate === name;
+  }
+
+  const source = pattern.toLowerCase()
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  const regex = new RegExp(`^${source}$`);
+  return (candidate) => typeof candidate === 'string' && regex.test(candidate);
+}
+
+module.exports = HttpApi;
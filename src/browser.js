@@ -0,0 +1,325 @@
+const EventEmitter = require('events');
+const { parseTxt } = require('./records');
+
+// RFC 6762 §5.2: continuous queries start one second apart and back off to
+// at most one query an hour
+const MIN_QUERY_INTERVAL = 1000;
+const MAX_QUERY_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * DNS-SD service browser
+ *
+ * Follows PTR -> SRV/TXT -> A/AAAA record chains for one service type
+ * (e.g. "_http._tcp.local") and emits:
+ *   - `up` when a service instance has a host and port
+ *   - `update` when its host, port, TXT data or addresses change
+ *   - `down` when it sends a goodbye packet or its records expire
+ *
+ * Created through MDNSResolver#browse(); the resolver feeds it every mDNS
+ * response it receives.
+ */
+class ServiceBrowser extends EventEmitter {
+  constructor(resolver, serviceType) {
+    super();
+
+    this.resolver = resolver;
+    this.type = normalizeServiceType(serviceType);
+    this.services = new Map();
+    this.queryTimer = null;
+    this.queryInterval = MIN_QUERY_INTERVAL;
+    this.running = false;
+  }
+
+  /**
+   * Start browsing: send the first PTR query and keep re-querying
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.queryInterval = MIN_QUERY_INTERVAL;
+    this._query();
+  }
+
+  /**
+   * Stop browsing and forget every discovered service
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    clearTimeout(this.queryTimer);
+    this.queryTimer = null;
+
+    for (const entry of this.services.values()) {
+      clearTimeout(entry.expiryTimer);
+    }
+    this.services.clear();
+
+    this.resolver.browsers.delete(this);
+    this.emit('stopped');
+  }
+
+  /**
+   * Get every service instance that is currently up
+   * @returns {Object[]}
+   */
+  getServices() {
+    return Array.from(this.services.values())
+      .filter((entry) => entry.up)
+      .map((entry) => this._toService(entry));
+  }
+
+  /**
+   * Send a PTR query for the service type and schedule the next one
+   * @private
+   */
+  _query() {
+    if (!this.running || !this.resolver.mdns) {
+      return;
+    }
+
+    this.resolver._query([{ name: this.type, type: 'PTR' }]);
+
+    this.queryTimer = setTimeout(() => this._query(), this.queryInterval);
+    this.queryInterval = Math.min(this.queryInterval * 2, MAX_QUERY_INTERVAL);
+  }
+
+  /**
+   * Update services from the records of an mDNS response
+   * @private
+   */
+  _handleResponse(response) {
+    if (!this.running) {
+      return;
+    }
+
+    const records = (response.answers || []).concat(response.additionals || []);
+    const changed = new Set();
+
+    // PTR records first so SRV/TXT records in the same packet find their
+    // service entry, then SRV so address records can be matched to hosts
+    for (const record of records) {
+      if (record.type === 'PTR' && record.name.toLowerCase() === this.type) {
+        this._handlePtr(record, changed);
+      }
+    }
+
+    for (const record of records) {
+      const entry = this.services.get(record.name.toLowerCase());
+      if (!entry) {
+        continue;
+      }
+
+      if (record.type === 'SRV') {
+        this._handleSrv(entry, record, changed);
+      } else if (record.type === 'TXT') {
+        this._handleTxt(entry, record, changed);
+      }
+    }
+
+    for (const record of records) {
+      if (record.type === 'A' || record.type === 'AAAA') {
+        this._handleAddress(record, changed);
+      }
+    }
+
+    for (const entry of changed) {
+      this._settle(entry);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _handlePtr(record, changed) {
+    const fqdn = record.data;
+    const key = fqdn.toLowerCase();
+
+    if (record.ttl === 0) {
+      const entry = this.services.get(key);
+      if (entry) {
+        this._remove(entry);
+      }
+      return;
+    }
+
+    let entry = this.services.get(key);
+    if (!entry) {
+      entry = {
+        fqdn,
+        host: null,
+        port: null,
+        txt: {},
+        addresses: new Map(),
+        up: false,
+        expires: 0,
+        expiryTimer: null
+      };
+      this.services.set(key, entry);
+      changed.add(entry);
+    }
+
+    this._refresh(entry, record.ttl);
+  }
+
+  /**
+   * @private
+   */
+  _handleSrv(entry, record, changed) {
+    if (record.ttl === 0) {
+      this._remove(entry);
+      return;
+    }
+
+    const host = record.data.target.toLowerCase();
+    if (entry.host !== host || entry.port !== record.data.port) {
+      // The old host's addresses are not the new one's; _settle looks
+      // the new host up
+      if (entry.host !== host) {
+        entry.addresses.clear();
+      }
+      entry.host = host;
+      entry.port = record.data.port;
+      changed.add(entry);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _handleTxt(entry, record, changed) {
+    const txt = record.ttl === 0 ? {} : parseTxt(record.data);
+    if (JSON.stringify(txt) !== JSON.stringify(entry.txt)) {
+      entry.txt = txt;
+      changed.add(entry);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _handleAddress(record, changed) {
+    const host = record.name.toLowerCase();
+
+    for (const entry of this.services.values()) {
+      if (entry.host !== host) {
+        continue;
+      }
+
+      if (record.ttl === 0) {
+        if (entry.addresses.delete(record.data)) {
+          changed.add(entry);
+        }
+      } else if (!entry.addresses.has(record.data)) {
+        entry.addresses.set(record.data, Date.now() + (record.ttl * 1000));
+        changed.add(entry);
+      } else {
+        entry.addresses.set(record.data, Date.now() + (record.ttl * 1000));
+      }
+    }
+  }
+
+  /**
+   * Emit up/update for a changed entry, or ask for the records it lacks
+   * @private
+   */
+  _settle(entry) {
+    if (!this.services.has(entry.fqdn.toLowerCase())) {
+      return;
+    }
+
+    if (entry.host && entry.addresses.size === 0) {
+      this._addCachedAddresses(entry);
+    }
+
+    if (!entry.host) {
+      this.resolver._query([
+        { name: entry.fqdn, type: 'SRV' },
+        { name: entry.fqdn, type: 'TXT' }
+      ]);
+      return;
+    }
+
+    if (entry.addresses.size === 0) {
+      this.resolver._query([
+        { name: entry.host, type: 'A' },
+        { name: entry.host, type: 'AAAA' }
+      ]);
+    }
+
+    const event = entry.up ? 'update' : 'up';
+    entry.up = true;
+    this.emit(event, this._toService(entry));
+  }
+
+  /**
+   * Fill in addresses for a host the resolver already has cached
+   * @private
+   */
+  _addCachedAddresses(entry) {
+    for (const type of ['A', 'AAAA']) {
+      for (const record of this.resolver._getCachedRecords(`${entry.host}:${type}`)) {
+        entry.addresses.set(record.data, record.expires);
+      }
+    }
+  }
+
+  /**
+   * Extend a service's lifetime and re-arm its expiry timer
+   * @private
+   */
+  _refresh(entry, ttl) {
+    entry.expires = Date.now() + (ttl * 1000);
+    clearTimeout(entry.expiryTimer);
+    entry.expiryTimer = setTimeout(() => this._remove(entry), ttl * 1000);
+  }
+
+  /**
+   * Forget a service, emitting `down` if it was up
+   * @private
+   */
+  _remove(entry) {
+    clearTimeout(entry.expiryTimer);
+    this.services.delete(entry.fqdn.toLowerCase());
+
+    if (entry.up) {
+      entry.up = false;
+      this.emit('down', this._toService(entry));
+    }
+  }
+
+  /**
+   * Public representation of a service entry
+   * @private
+   */
+  _toService(entry) {
+    const now = Date.now();
+    return {
+      name: entry.fqdn.slice(0, entry.fqdn.length - this.type.length - 1),
+      fqdn: entry.fqdn,
+      type: this.type,
+      host: entry.host,
+      port: entry.port,
+      txt: { ...entry.txt },
+      addresses: Array.from(entry.addresses.entries())
+        .filter(([, expires]) => expires > now)
+        .map(([address]) => address)
+    };
+  }
+}
+
+/**
+ * Normalize a service type to lowercase and ensure it ends with .local
+ * @private
+ */
+function normalizeServiceType(serviceType) {
+  const type = serviceType.toLowerCase().replace(/\.$/, '');
+  return type.endsWith('.local') ? type : `${type}.local`;
+}
+
+module.exports = ServiceBrowser;
@@ -0,0 +1,297 @@
+const EventEmitter = require('events');
+const { sameData } = require('./records');
+
+// RFC 6762 §10.2: records a cache-flush answer replaces are kept for one
+// more second, and only records older than that are flushed
+const FLUSH_GRACE = 1000;
+
+/**
+ * Record cache for the resolver
+ *
+ * Entries are keyed "name:type" and hold every record of that RRset as
+ * `{ records: [{ data, ttl, expires, received, interface }] }`; a failed
+ * lookup is remembered as an entry with no records and a `negativeExpires`
+ * time.
+ *
+ * Reads move an entry to the most recently used end, and inserting past
+ * `maxSize` evicts from the least recently used end. A sweeper removes
+ * expired records every `sweepInterval` ms while started.
+ *
+ * Events:
+ *   - `expired` ({ name, type, data }) for each record the sweeper removes
+ *   - `evicted` ({ name, type, records }) for each entry dropped for space
+ */
+class RecordCache extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      maxSize: options.maxSize || 1000,
+      sweepInterval: options.sweepInterval || 30000
+    };
+
+    this.store = new Map();
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Number of cached entries
+   * @returns {number}
+   */
+  get size() {
+    return this.store.size;
+  }
+
+  /**
+   * Start sweeping expired records
+   */
+  start() {
+    if (this.sweepTimer) {
+      return;
+    }
+
+    this.sweepTimer = setInterval(() => this.sweep(), this.options.sweepInterval);
+    // The sweeper alone should not keep the process alive
+    if (typeof this.sweepTimer.unref === 'function') {
+      this.sweepTimer.unref();
+    }
+  }
+
+  /**
+   * Stop sweeping
+   */
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Get an entry and mark it as recently used
+   * @param {string} key
+   * @returns {Object|undefined}
+   */
+  get(key) {
+    const entry = this.store.get(key);
+    if (entry) {
+      this.store.delete(key);
+      this.store.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Get an entry without marking it as used
+   * @param {string} key
+   * @returns {Object|undefined}
+   */
+  peek(key) {
+    return this.store.get(key);
+  }
+
+  /**
+   * Store an entry as the most recently used, evicting if the cache is full
+   * @param {string} key
+   * @param {Object} entry
+   * @returns {RecordCache}
+   */
+  set(key, entry) {
+    this.store.delete(key);
+    this.store.set(key, entry);
+    this._evict();
+    return this;
+  }
+
+  has(key) {
+    return this.store.has(key);
+  }
+
+  delete(key) {
+    return this.store.delete(key);
+  }
+
+  clear() {
+    this.store.clear();
+  }
+
+  keys() {
+    return this.store.keys();
+  }
+
+  /**
+   * Iterate entries from least to most recently used, without touching them
+   */
+  entries() {
+    return this.store.entries();
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Unexpired records cached under a key. Marks the entry as used.
+   * @param {string} key
+   * @returns {Object[]}
+   */
+  records(key) {
+    const entry = this.get(key);
+    if (!entry) {
+      return [];
+    }
+
+    const now = Date.now();
+    return entry.records.filter((record) => record.expires > now);
+  }
+
+  /**
+   * Add a record to the RRset cached under a key. A record that is already
+   * cached has its TTL refreshed. With `flush` (the cache-flush bit) the
+   * answer replaces the RRset: other records received more than a second
+   * ago expire one second from now.
+   * @param {string} key
+   * @param {*} data - Formatted record data
+   * @param {number} ttl - TTL in seconds
+   * @param {Object} [options]
+   * @param {boolean} [options.flush=false]
+   * @param {string} [options.interface] - Interface the answer arrived on
+   */
+  add(key, data, ttl, options = {}) {
+    const now = Date.now();
+    const expires = now + (ttl * 1000);
+    let entry = this.get(key);
+
+    if (!entry) {
+      entry = { records: [] };
+      this.set(key, entry);
+    }
+
+    // An answer overrides a remembered failure
+    delete entry.negativeExpires;
+
+    if (options.flush) {
+      for (const record of entry.records) {
+        if (!sameData(record.data, data) && now - record.received > FLUSH_GRACE) {
+          record.expires = Math.min(record.expires, now + FLUSH_GRACE);
+        }
+      }
+    }
+
+    let record = entry.records.find((existing) => sameData(existing.data, data));
+    if (record) {
+      record.ttl = ttl;
+      record.expires = expires;
+      record.received = now;
+    } else {
+      record = { data, ttl, expires, received: now };
+      entry.records.push(record);
+    }
+
+    if (options.interface) {
+      record.interface = options.interface;
+    }
+  }
+
+  /**
+   * Remove one record from the RRset cached under a key
+   * @param {string} key
+   * @param {*} data
+   */
+  remove(key, data) {
+    const entry = this.store.get(key);
+    if (!entry) {
+      return;
+    }
+
+    entry.records = entry.records.filter((record) => !sameData(record.data, data));
+    if (entry.records.length === 0 && !entry.negativeExpires) {
+      this.store.delete(key);
+    }
+  }
+
+  /**
+   * Remember that a lookup failed, unless records are still cached
+   * @param {string} key
+   * @param {number} ttl - Seconds to remember the failure
+   */
+  setNegative(key, ttl) {
+    if (this.records(key).length > 0) {
+      return;
+    }
+
+    this.set(key, {
+      records: [],
+      negativeExpires: Date.now() + (ttl * 1000)
+    });
+  }
+
+  /**
+   * Whether a key holds an unexpired negative entry. Expired ones are dropped.
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isNegative(key) {
+    const entry = this.store.get(key);
+    if (!entry || !entry.negativeExpires) {
+      return false;
+    }
+
+    if (entry.negativeExpires > Date.now()) {
+      this.get(key);
+      return true;
+    }
+
+    delete entry.negativeExpires;
+    if (entry.records.length === 0) {
+      this.store.delete(key);
+    }
+    return false;
+  }
+
+  /**
+   * Remove expired records and negative entries, emitting `expired` for
+   * each record
+   */
+  sweep() {
+    const now = Date.now();
+
+    for (const [key, entry] of Array.from(this.store.entries())) {
+      const expired = entry.records.filter((record) => record.expires <= now);
+      if (expired.length > 0) {
+        entry.records = entry.records.filter((record) => record.expires > now);
+      }
+      if (entry.negativeExpires && entry.negativeExpires <= now) {
+        delete entry.negativeExpires;
+      }
+      if (entry.records.length === 0 && !entry.negativeExpires) {
+        this.store.delete(key);
+      }
+
+      for (const record of expired) {
+        this.emit('expired', { ...splitKey(key), data: record.data });
+      }
+    }
+  }
+
+  /**
+   * Drop least recently used entries until the cache fits
+   * @private
+   */
+  _evict() {
+    while (this.store.size > this.options.maxSize) {
+      const [key, entry] = this.store.entries().next().value;
+      this.store.delete(key);
+      this.emit('evicted', { ...splitKey(key), records: entry.records });
+    }
+  }
+}
+
+/**
+ * Split a "name:type" cache key. Names may contain colons, types do not.
+ * @private
+ */
+function splitKey(key) {
+  const index = key.lastIndexOf(':');
+  return { name: key.slice(0, index), type: key.slice(index + 1) };
+}
+
+module.exports = RecordCache;
@@ -0,0 +1,314 @@
+const EventEmitter = require('events');
+const dgram = require('dgram');
+const { lookup } = require('dns').promises;
+const net = require('net');
+const packet = require('dns-packet');
+const rcodes = require('dns-packet/rcodes');
+const MDNSResolver = require('./resolver');
+const { answerQuery, isLocal } = require('./dns');
+
+// Largest UDP response a client accepts unless its EDNS record says more
+// (RFC 1035 §4.2.1)
+const MAX_UDP_SIZE = 512;
+
+// How long an idle TCP connection is kept open (RFC 7766 §6.2.3)
+const TCP_IDLE_TIMEOUT = 10000;
+
+/**
+ * Unicast DNS server for .local names
+ *
+ * Lets tools that cannot speak mDNS resolve .local names: point
+ * /etc/resolv.conf or a container's DNS at it. Queries arrive over UDP and
+ * TCP on the same port; .local questions are answered through the mDNS
+ * resolver and questions for other names are refused, or passed to an
+ * upstream DNS server over UDP when `forward` is set.
+ */
+class DNSServer extends EventEmitter {
+  /**
+   * @param {Object} [options] - Also passed to the resolver
+   * @param {number} [options.port=5335] - Port for UDP and TCP
+   * @param {string} [options.host='localhost'] - Address to listen on
+   * @param {string} [options.forward] - Upstream server for other names,
+   *   as "address" or "address:port" ("[address]:port" for IPv6)
+   * @param {number} [options.forwardTimeout=5000] - Upstream timeout in ms
+   * @throws {Error} If the upstream server is not an IP address
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      port: options.port || 5335,
+      host: options.host || 'localhost',
+      forward: options.forward || null,
+      forwardTimeout: options.forwardTimeout || 5000,
+      ...options
+    };
+
+    this.upstream = this.options.forward ? parseUpstream(this.options.forward) : null;
+    this.resolver = new MDNSResolver(options);
+    this.udp = null;
+    this.tcp = null;
+    this.connections = new Set();
+  }
+
+  /**
+   * Start the resolver and listen for queries
+   * @returns {Promise<{host: string, address: string, port: number}>}
+   */
+  async start() {
+    this.resolver.start();
+
+    try {
+      // Look the host up once: bound separately, "localhost" can end up as
+      // 127.0.0.1 for UDP and ::1 for TCP
+      const { address } = await lookup(this.options.host);
+      // TCP takes the port UDP got, which matters for port 0
+      const port = await this._listenUdp(this.options.port, address);
+      await this._listenTcp(port, address);
+      return { host: this.options.host, address, port };
+    } catch (err) {
+      await this.stop();
+      throw err;
+    }
+  }
+
+  /**
+   * Stop listening and stop the resolver
+   */
+  async stop() {
+    if (this.udp) {
+      const udp = this.udp;
+      this.udp = null;
+      await new Promise((resolve) => udp.close(resolve));
+    }
+
+    if (this.tcp) {
+      const tcp = this.tcp;
+      this.tcp = null;
+      for (const socket of this.connections) {
+        socket.destroy();
+      }
+      this.connections.clear();
+      await new Promise((resolve) => tcp.close(() => resolve()));
+    }
+
+    await this.resolver.stop();
+  }
+
+  /**
+   * Bind the UDP socket
+   * @private
+   * @returns {Promise<number>} The bound port
+   */
+  _listenUdp(port, address) {
+    return new Promise((resolve, reject) => {
+      const udp = dgram.createSocket(net.isIPv6(address) ? 'udp6' : 'udp4');
+      this.udp = udp;
+
+      let listening = false;
+      udp.on('error', (err) => {
+        if (listening) {
+          this.emit('server-error', err);
+        } else {
+          reject(err);
+        }
+      });
+
+      udp.on('message', (message, rinfo) => {
+        this._answer(message, 'udp').then((response) => {
+          if (response && this.udp === udp) {
+            udp.send(response, rinfo.port, rinfo.address);
+          }
+        });
+      });
+
+      udp.bind(port, address, () => {
+        listening = true;
+        resolve(udp.address().port);
+      });
+    });
+  }
+
+  /**
+   * Start the TCP server
+   * @private
+   */
+  _listenTcp(port, address) {
+    return new Promise((resolve, reject) => {
+      const tcp = net.createServer((socket) => this._handleConnection(socket));
+      this.tcp = tcp;
+
+      let listening = false;
+      tcp.on('error', (err) => {
+        if (listening) {
+          this.emit('server-error', err);
+        } else {
+          reject(err);
+        }
+      });
+
+      tcp.listen(port, address, () => {
+        listening = true;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Read length-prefixed queries from a TCP connection (RFC 1035 §4.2.2)
+   * and answer each of them
+   * @private
+   */
+  _handleConnection(socket) {
+    this.connections.add(socket);
+    socket.on('close', () => this.connections.delete(socket));
+    // A client going away mid-answer is not a server error
+    socket.on('error', () => {});
+    socket.setTimeout(TCP_IDLE_TIMEOUT, () => socket.end());
+
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      while (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+        const message = buffer.subarray(2, 2 + buffer.readUInt16BE(0));
+        buffer = buffer.subarray(2 + message.length);
+
+        this._answer(message, 'tcp').then((response) => {
+          if (response && !socket.destroyed) {
+            const length = Buffer.alloc(2);
+            length.writeUInt16BE(response.length);
+            socket.write(Buffer.concat([length, response]));
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Answer a raw query. Malformed messages and responses are dropped.
+   * @private
+   * @returns {Promise<Buffer|null>} The encoded response
+   */
+  async _answer(message, transport) {
+    let query;
+    try {
+      query = packet.decode(message);
+    } catch (err) {
+      return null;
+    }
+    if (query.type === 'response') {
+      return null;
+    }
+
+    const questions = query.questions || [];
+    this.emit('query', { questions, transport });
+
+    if (this.upstream && questions.length > 0 && !questions.every((question) => isLocal(question.name))) {
+      try {
+        return await this._forward(message);
+      } catch (err) {
+        return packet.encode(failure(query, 'SERVFAIL'));
+      }
+    }
+
+    let response;
+    try {
+      response = await answerQuery(this.resolver, query);
+    } catch (err) {
+      response = failure(query, 'SERVFAIL');
+    }
+    if (this.upstream) {
+      response.flags |= packet.RECURSION_AVAILABLE;
+    }
+
+    const encoded = packet.encode(response);
+    if (transport === 'udp' && encoded.length > maxUdpSize(query)) {
+      // Too large for UDP: the client retries over TCP (RFC 7766 §5)
+      return packet.encode({ ...response, answers: [], flags: response.flags | packet.TRUNCATED_RESPONSE });
+    }
+    return encoded;
+  }
+
+  /**
+   * Pass a query to the upstream server and return its response as is
+   * @private
+   * @returns {Promise<Buffer>}
+   */
+  _forward(message) {
+    const { address, port } = this.upstream;
+
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(net.isIPv6(address) ? 'udp6' : 'udp4');
+      const id = message.readUInt16BE(0);
+      let done = false;
+
+      const finish = (err, response) => {
+        if (done) {
+          return;
+        }
+        done = true;
+        clearTimeout(timer);
+        socket.close();
+        if (err) {
+          reject(err);
+        } else {
+          resolve(response);
+        }
+      };
+
+      const timer = setTimeout(() => {
+        finish(new Error(`Upstream DNS server ${address}:${port} did not answer`));
+      }, this.options.forwardTimeout);
+
+      socket.on('message', (response) => {
+        if (response.length >= 2 && response.readUInt16BE(0) === id) {
+          finish(null, response);
+        }
+      });
+      socket.on('error', finish);
+      socket.send(message, port, address);
+    });
+  }
+}
+
+/**
+ * A response without answers
+ * @private
+ */
+function failure(query, rcode) {
+  return {
+    id: query.id || 0,
+    type: 'response',
+    flags: ((query.flags || 0) & packet.RECURSION_DESIRED) | rcodes.toRcode(rcode),
+    questions: query.questions || [],
+    answers: []
+  };
+}
+
+/**
+ * The largest UDP response a query's sender accepts
+ * @private
+ */
+function maxUdpSize(query) {
+  const opt = (query.additionals || []).find((record) => record.type === 'OPT');
+  return Math.max(MAX_UDP_SIZE, (opt && opt.udpPayloadSize) || 0);
+}
+
+/**
+ * Parse "address", "address:port" or "[address]:port"
+ * @private
+ */
+function parseUpstream(server) {
+  const match = /^\[(.+)\](?::(\d+))?$/.exec(server) || /^([^:]+)(?::(\d+))?$/.exec(server);
+  const address = match ? match[1] : server;
+  const port = match && match[2] ? Number(match[2]) : 53;
+
+  if (!net.isIP(address) || port < 1 || port > 65535) {
+    throw new Error(`Invalid upstream DNS server: ${server}. Use an IP address with an optional port`);
+  }
+
+  return { address, port };
+}
+
+module.exports = DNSServer;
@@ -0,0 +1,195 @@
+const packet = require('dns-packet');
+const rcodes = require('dns-packet/rcodes');
+const types = require('dns-packet/types');
+const { SUPPORTED_TYPES, RECORD_TYPES, encodeRecordData } = require('./records');
+
+/**
+ * Answering standard (unicast) DNS queries from the resolver, for clients
+ * that cannot speak mDNS themselves
+ */
+
+// Resolver error codes that mean the name does not exist, as far as mDNS
+// can tell; anything else is a server failure
+const NXDOMAIN_CODES = ['ENOTFOUND', 'ETIMEOUT', 'EINVALIDNAME'];
+
+/**
+ * Answer a decoded DNS query with the resolver. Questions for `.local`
+ * names are resolved over mDNS and answered with the records in the cache
+ * and their remaining TTLs; questions for other names are refused.
+ *
+ * The response code is that of the first question that could not be
+ * answered: NXDOMAIN for names that did not resolve, REFUSED for names
+ * outside `.local`, SERVFAIL if the resolver is not running and NOTIMP for
+ * opcodes other than QUERY and classes other than IN. Record types the
+ * resolver does not handle are answered with no records (NODATA), as there
+ * are none over mDNS.
+ *
+ * @param {MDNSResolver} resolver
+ * @param {Object} query - Query as decoded by dns-packet
+ * @returns {Promise<Object>} The response, ready for dns-packet encoding
+ */
+async function answerQuery(resolver, query) {
+  const questions = query.questions || [];
+  const answers = [];
+  let rcode = 0;
+
+  if (query.opcode && query.opcode !== 'QUERY') {
+    rcode = rcodes.toRcode('NOTIMP');
+  } else if (questions.length === 0) {
+    rcode = rcodes.toRcode('FORMERR');
+  }
+
+  for (const question of rcode === 0 ? questions : []) {
+    const result = await answerQuestion(resolver, question);
+    answers.push(...result.answers);
+    rcode = rcode || result.rcode;
+  }
+
+  return {
+    id: query.id || 0,
+    type: 'response',
+    // Echo the client's recursion-desired bit and set the response code
+    flags: ((query.flags || 0) & packet.RECURSION_DESIRED) | rcode,
+    questions,
+    answers
+  };
+}
+
+/**
+ * Answer one question
+ * @private
+ * @returns {Promise<{rcode: number, answers: Object[]}>}
+ */
+async function answerQuestion(resolver, question) {
+  const name = String(question.name || '').toLowerCase().replace(/\.$/, '');
+  const type = String(question.type || '').toUpperCase();
+
+  if (!isLocal(name)) {
+    return { rcode: rcodes.toRcode('REFUSED'), answers: [] };
+  }
+
+  if (question.class && question.class !== 'IN') {
+    return { rcode: rcodes.toRcode('NOTIMP'), answers: [] };
+  }
+
+  if (!SUPPORTED_TYPES.includes(type)) {
+    return { rcode: 0, answers: [] };
+  }
+
+  try {
+    await resolver.resolve(name, type);
+  } catch (err) {
+    const rcode = NXDOMAIN_CODES.includes(err.code) ? 'NXDOMAIN' : 'SERVFAIL';
+    return { rcode: rcodes.toRcode(rcode), answers: [] };
+  }
+
+  const records = resolver._collectRecords(resolver._normalizeName(name), type === 'ANY' ? RECORD_TYPES : [type]);
+  return {
+    rcode: 0,
+    answers: records.map((record) => ({
+      name: question.name.replace(/\.$/, ''),
+      type: record.type,
+      class: 'IN',
+      ttl: record.ttl,
+      data: encodeRecordData(record.type, record.data)
+    }))
+  };
+}
+
+/**
+ * Whether a name is in the `.local` zone
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isLocal(name) {
+  return String(name).toLowerCase().replace(/\.$/, '').endsWith('.local');
+}
+
+/**
+ * The lowest TTL of a response's answers, which is how long the response
+ * may be cached (RFC 8484 §5.1), or null without answers
+ * @param {Object} response
+ * @returns {number|null}
+ */
+function minTtl(response) {
+  const ttls = (response.answers || []).map((answer) => answer.ttl);
+  return ttls.length > 0 ? Math.min(...ttls) : null;
+}
+
+/**
+ * Convert a response into the JSON DNS format of Google's and Cloudflare's
+ * JSON APIs (application/dns-json): `Status` is the response code, names
+ * are fully qualified, types are numbers and record data is in zone file
+ * presentation format
+ * @param {Object} response - Response as returned by answerQuery()
+ * @returns {Object}
+ */
+function toJson(response) {
+  const flags = response.flags || 0;
+  const json = {
+    Status: flags & 0xf,
+    TC: (flags & packet.TRUNCATED_RESPONSE) !== 0,
+    RD: (flags & packet.RECURSION_DESIRED) !== 0,
+    RA: (flags & packet.RECURSION_AVAILABLE) !== 0,
+    AD: false,
+    CD: false,
+    Question: (response.questions || []).map((question) => ({
+      name: fqdn(question.name),
+      type: types.toType(question.type)
+    }))
+  };
+
+  if (response.answers && response.answers.length > 0) {
+    json.Answer = response.answers.map((answer) => ({
+      name: fqdn(answer.name),
+      type: types.toType(answer.type),
+      TTL: answer.ttl,
+      data: presentData(answer.type, answer.data)
+    }));
+  }
+
+  return json;
+}
+
+/**
+ * Record data as dns-packet encodes it, in presentation format
+ * @private
+ */
+function presentData(type, data) {
+  switch (type) {
+    case 'TXT':
+      return [].concat(data).map((entry) => quote(entry)).join(' ');
+    case 'SRV':
+      return `${data.priority} ${data.weight} ${data.port} ${fqdn(data.target)}`;
+    case 'PTR':
+      return fqdn(data);
+    case 'HINFO':
+      return `${quote(data.cpu)} ${quote(data.os)}`;
+    default:
+      return data;
+  }
+}
+
+/**
+ * A character string in double quotes, with quotes and backslashes escaped
+ * @private
+ */
+function quote(value) {
+  const str = Buffer.isBuffer(value) ? value.toString('utf8') : String(value);
+  return `"${str.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * A name with its trailing dot
+ * @private
+ */
+function fqdn(name) {
+  return name.endsWith('.') ? name : `${name}.`;
+}
+
+module.exports = {
+  answerQuery,
+  toJson,
+  isLocal,
+  minTtl
+};
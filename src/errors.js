@@ -0,0 +1,129 @@
+/**
+ * Error types raised by the resolver. Every error carries a stable `code`
+ * that the HTTP API and the CLI map to a status and an exit code.
+ */
+
+/**
+ * A name recently failed to resolve and is held in the negative cache.
+ * Raised immediately instead of querying the network again (the mDNS
+ * equivalent of NXDOMAIN).
+ */
+class NotFoundError extends Error {
+  /**
+   * @param {string} name - The name that could not be resolved
+   * @param {string} type - The record type that was asked for
+   */
+  constructor(name, type) {
+    super(`No ${type} record found for ${name}`);
+    this.name = 'NotFoundError';
+    this.code = 'ENOTFOUND';
+    this.hostname = name;
+    this.type = type;
+  }
+}
+
+/**
+ * A lookup got no answer within its timeout
+ */
+class TimeoutError extends Error {
+  /**
+   * @param {string} name - The name being resolved
+   * @param {string} type - The record type that was asked for
+   * @param {number} timeout - The timeout that passed, in ms
+   */
+  constructor(name, type, timeout) {
+    super(`Timeout resolving ${name}`);
+    this.name = 'TimeoutError';
+    this.code = 'ETIMEOUT';
+    this.hostname = name;
+    this.type = type;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * A lookup was cancelled through its AbortSignal. Other callers waiting
+ * for the same name are not affected.
+ */
+class AbortError extends Error {
+  /**
+   * @param {string} name - The name being resolved
+   * @param {string} type - The record type that was asked for
+   * @param {*} [reason] - The signal's abort reason
+   */
+  constructor(name, type, reason) {
+    super(`Resolving ${name} was aborted`, reason !== undefined ? { cause: reason } : undefined);
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+    this.hostname = name;
+    this.type = type;
+  }
+}
+
+/**
+ * The resolver was used before start() or after stop()
+ */
+class NotRunningError extends Error {
+  constructor() {
+    super('Resolver is not running. Call start() first.');
+    this.name = 'NotRunningError';
+    this.code = 'ENOTRUNNING';
+  }
+}
+
+/**
+ * The resolver was stopped while a lookup was still waiting for an answer
+ */
+class StoppedError extends Error {
+  constructor() {
+    super('Resolver stopped');
+    this.name = 'StoppedError';
+    this.code = 'ESTOPPED';
+  }
+}
+
+/**
+ * A name or address given to the resolver can never resolve: an empty name,
+ * a label longer than 63 bytes, a name longer than 255 bytes, or an
+ * invalid IP address for reverse lookups
+ */
+class InvalidNameError extends Error {
+  /**
+   * @param {string} name - The rejected name or address
+   * @param {string} [message]
+   */
+  constructor(name, message = `Invalid name: ${name}`) {
+    super(message);
+    this.name = 'InvalidNameError';
+    this.code = 'EINVALIDNAME';
+    this.hostname = name;
+  }
+}
+
+// HTTP status for each error code. Errors without a known code are 500s.
+const HTTP_STATUS = {
+  EINVALIDNAME: 400,
+  ENOTFOUND: 404,
+  ENOTRUNNING: 503,
+  ESTOPPED: 503,
+  ETIMEOUT: 504
+};
+
+/**
+ * The HTTP status to answer with for an error
+ * @param {Error} err
+ * @returns {number}
+ */
+function httpStatus(err) {
+  return HTTP_STATUS[err && err.code] || 500;
+}
+
+module.exports = {
+  NotFoundError,
+  TimeoutError,
+  AbortError,
+  NotRunningError,
+  StoppedError,
+  InvalidNameError,
+  httpStatus
+};
@@ -0,0 +1,171 @@
+const net = require('net');
+const os = require('os');
+
+/**
+ * Helpers for choosing the network interfaces mDNS runs on
+ */
+
+// How long the interface list is reused before it is read again, so
+// address changes (DHCP, VPNs) are still picked up
+const SNAPSHOT_TTL = 10000;
+
+let snapshot = null;
+
+// Subnet matcher of each interface, built once per interface object
+const subnets = new WeakMap();
+
+/**
+ * Every address of every local interface, as
+ * { name, address, netmask, cidr, family (4|6), internal }
+ * @returns {Object[]}
+ */
+function listInterfaces() {
+  const interfaces = os.networkInterfaces();
+  const result = [];
+
+  for (const name of Object.keys(interfaces)) {
+    for (const iface of interfaces[name]) {
+      result.push({
+        name,
+        address: iface.address,
+        netmask: iface.netmask,
+        cidr: iface.cidr,
+        // Node 18.0-18.3 reported the family as a number
+        family: iface.family === 'IPv6' || iface.family === 6 ? 6 : 4,
+        internal: iface.internal
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Resolve interface selections into the interface addresses of one family.
+ * A selection is an interface name ("eth0"), which picks its first address
+ * of the family, or one of the machine's own addresses ("192.168.1.10").
+ * Selections without an address of the family are left out.
+ * @param {string[]} selections
+ * @param {number} [family=4] - 4 or 6
+ * @returns {Object[]} Interfaces as returned by listInterfaces()
+ * @throws {Error} If a selection matches no local interface at all
+ */
+function resolveInterfaces(selections, family = 4) {
+  const available = listInterfaces();
+  const result = [];
+
+  for (const selection of selections) {
+    const matches = net.isIP(selection)
+      ? (iface) => iface.address === selection
+      : (iface) => iface.name === selection;
+
+    if (!available.some(matches)) {
+      throw new Error(`Unknown network interface: ${selection}`);
+    }
+
+    const match = available.find((iface) => iface.family === family && matches(iface));
+    if (match && !result.includes(match)) {
+      result.push(match);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * The external interfaces with an IPv6 address, one entry per interface.
+ * IPv6 multicast needs an explicit interface, so these are used when none
+ * are selected.
+ * @returns {Object[]}
+ */
+function ipv6Interfaces() {
+  const result = [];
+
+  for (const iface of listInterfaces()) {
+    if (iface.family === 6 && !iface.internal && !result.some((other) => other.name === iface.name)) {
+      result.push(iface);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Find the interface whose subnet contains an address, i.e. the interface
+ * a packet from that address arrived on. Scoped IPv6 addresses
+ * ("fe80::1%eth0") name their interface directly.
+ * @param {string} address - Sender address
+ * @param {Object[]} [candidates] - Interfaces to consider (default: all)
+ * @returns {Object|null}
+ */
+function interfaceFor(address, candidates = currentInterfaces().interfaces) {
+  const [ip, zone] = String(address).split('%');
+  const family = net.isIP(ip);
+  if (!family) {
+    return null;
+  }
+
+  // Link-local subnets are the same on every interface; the zone is not
+  const scoped = zone && candidates.find((iface) => iface.family === family && iface.name === zone);
+  if (scoped) {
+    return scoped;
+  }
+
+  return candidates.find((iface) => {
+    if (iface.family !== family || !iface.cidr) {
+      return false;
+    }
+    return subnetOf(iface).check(ip, family === 6 ? 'ipv6' : 'ipv4');
+  }) || null;
+}
+
+/**
+ * Whether an address belongs to this machine
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isLocalAddress(address) {
+  return currentInterfaces().addresses.has(String(address).split('%')[0]);
+}
+
+/**
+ * The interface list and the set of local addresses, read at most once
+ * every SNAPSHOT_TTL ms. Packets are matched against it as they arrive.
+ * @private
+ * @returns {{ interfaces: Object[], addresses: Set<string> }}
+ */
+function currentInterfaces() {
+  if (!snapshot || Date.now() - snapshot.read > SNAPSHOT_TTL) {
+    const interfaces = listInterfaces();
+    snapshot = {
+      interfaces,
+      addresses: new Set(interfaces.map((iface) => iface.address)),
+      read: Date.now()
+    };
+  }
+
+  return snapshot;
+}
+
+/**
+ * The subnet of an interface as a net.BlockList
+ * @private
+ */
+function subnetOf(iface) {
+  let block = subnets.get(iface);
+  if (!block) {
+    const [subnet, prefix] = iface.cidr.split('/');
+    block = new net.BlockList();
+    block.addSubnet(subnet, Number(prefix), iface.family === 6 ? 'ipv6' : 'ipv4');
+    subnets.set(iface, block);
+  }
+  return block;
+}
+
+module.exports = {
+  listInterfaces,
+  resolveInterfaces,
+  ipv6Interfaces,
+  interfaceFor,
+  isLocalAddress
+};
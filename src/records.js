@@ -0,0 +1,202 @@
+const net = require('net');
+
+/**
+ * Helpers for DNS record data shared by the resolver, browser and responder
+ */
+
+// Record types resolve() and the HTTP API accept. ANY collects every type.
+const SUPPORTED_TYPES = ['A', 'AAAA', 'TXT', 'SRV', 'PTR', 'HINFO', 'ANY'];
+
+// Record types the resolver caches from responses
+const RECORD_TYPES = SUPPORTED_TYPES.filter((type) => type !== 'ANY');
+
+/**
+ * Parse TXT record data into a key/value map (RFC 6763 §6). Keys without
+ * an '=' are boolean attributes and map to `true`.
+ * @param {Buffer[]|Buffer|string} data - TXT data as decoded by dns-packet
+ * @returns {Object<string, string|boolean>}
+ */
+function parseTxt(data) {
+  const txt = {};
+
+  for (const entry of [].concat(data || [])) {
+    const str = Buffer.isBuffer(entry) ? entry.toString('utf8') : String(entry);
+    if (str.length === 0) {
+      continue;
+    }
+
+    const index = str.indexOf('=');
+    // Keys are case-insensitive; only the first occurrence of a key counts
+    const key = (index === -1 ? str : str.slice(0, index)).toLowerCase();
+    if (key.length === 0 || key in txt) {
+      continue;
+    }
+
+    txt[key] = index === -1 ? true : str.slice(index + 1);
+  }
+
+  return txt;
+}
+
+/**
+ * Encode a key/value map as TXT record data. `true` values become boolean
+ * attributes; `false`, `null` and `undefined` values are left out.
+ * @param {Object<string, string|number|boolean|Buffer>} txt
+ * @returns {Array<string|Buffer>} TXT data as accepted by dns-packet
+ */
+function encodeTxt(txt) {
+  const data = [];
+
+  for (const [key, value] of Object.entries(txt || {})) {
+    if (value === false || value === null || value === undefined) {
+      continue;
+    }
+
+    if (value === true) {
+      data.push(key);
+    } else if (Buffer.isBuffer(value)) {
+      data.push(Buffer.concat([Buffer.from(`${key}=`), value]));
+    } else {
+      data.push(`${key}=${value}`);
+    }
+  }
+
+  // An empty TXT record still holds a single empty string (RFC 6763 §6.1)
+  return data.length > 0 ? data : [''];
+}
+
+/**
+ * Convert record data as decoded by dns-packet into the structured form
+ * returned by the resolver:
+ *   - A/AAAA/PTR: string
+ *   - TXT: key/value map
+ *   - SRV: { priority, weight, port, target }
+ *   - HINFO: { cpu, os }
+ * @param {string} type - Record type
+ * @param {*} data - Decoded record data
+ * @returns {*}
+ */
+function formatRecordData(type, data) {
+  switch (type) {
+    case 'TXT':
+      return parseTxt(data);
+    case 'SRV':
+      return {
+        priority: data.priority,
+        weight: data.weight,
+        port: data.port,
+        target: data.target.toLowerCase()
+      };
+    case 'HINFO':
+      return { cpu: data.cpu, os: data.os };
+    default:
+      return data;
+  }
+}
+
+/**
+ * Convert record data in the resolver's structured form back into the form
+ * dns-packet encodes; the inverse of formatRecordData()
+ * @param {string} type - Record type
+ * @param {*} data - Formatted record data
+ * @returns {*}
+ */
+function encodeRecordData(type, data) {
+  switch (type) {
+    case 'TXT':
+      return encodeTxt(data);
+    case 'SRV':
+      return { ...data };
+    case 'HINFO':
+      return { cpu: data.cpu, os: data.os };
+    default:
+      return data;
+  }
+}
+
+/**
+ * Whether two formatted record data values are equal
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function sameData(a, b) {
+  if (typeof a === 'object' && a !== null) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+/**
+ * Build the reverse-mapping name for an IP address (RFC 1035 §3.5, RFC 3596 §2.5)
+ *   192.168.1.10 -> 10.1.168.192.in-addr.arpa
+ *   fe80::1      -> 1.0.0.0. ... .0.8.e.f.ip6.arpa
+ * @param {string} ip - IPv4 or IPv6 address; an IPv6 zone (%eth0) is ignored
+ * @returns {string|null} The reverse name, or null if `ip` is not an address
+ */
+function reverseName(ip) {
+  ip = String(ip).split('%')[0];
+
+  if (net.isIPv4(ip)) {
+    return `${ip.split('.').reverse().join('.')}.in-addr.arpa`;
+  }
+
+  if (!net.isIPv6(ip)) {
+    return null;
+  }
+
+  // Expand "::" and any embedded IPv4 address into eight 16-bit groups
+  let groups = ip.split(':');
+  const last = groups[groups.length - 1];
+  if (net.isIPv4(last)) {
+    const octets = last.split('.').map(Number);
+    groups.splice(-1, 1, ((octets[0] << 8) | octets[1]).toString(16), ((octets[2] << 8) | octets[3]).toString(16));
+  }
+
+  const gap = groups.indexOf('');
+  if (gap !== -1) {
+    const head = groups.slice(0, gap).filter(Boolean);
+    const tail = groups.slice(gap + 1).filter(Boolean);
+    groups = head.concat(new Array(8 - head.length - tail.length).fill('0'), tail);
+  }
+
+  const nibbles = groups.map((group) => group.padStart(4, '0')).join('').toLowerCase().split('');
+  return `${nibbles.reverse().join('.')}.ip6.arpa`;
+}
+
+/**
+ * The /resolve response body for one name, also the shape of WebSocket
+ * results
+ * @param {string} hostname - Name as requested; ".local" is appended if missing
+ * @param {string} type - Record type
+ * @param {*} [result] - Resolved address or record data
+ * @returns {Object}
+ */
+function resolveBody(hostname, type, result) {
+  const body = {
+    hostname: hostname.endsWith('.local') ? hostname : `${hostname}.local`,
+    type: type
+  };
+  if (result === undefined) {
+    return body;
+  }
+  // Addresses keep their own field; other types return structured data
+  if (type === 'A' || type === 'AAAA') {
+    body.address = result;
+  } else {
+    body.data = result;
+  }
+  return body;
+}
+
+module.exports = {
+  SUPPORTED_TYPES,
+  RECORD_TYPES,
+  parseTxt,
+  encodeTxt,
+  formatRecordData,
+  encodeRecordData,
+  sameData,
+  reverseName,
+  resolveBody
+};
@@ -1,6 +1,21 @@
-const mdns = require('multicast-dns');
 const EventEmitter = require('events');
 const http = require('http');
+const MDNSResponder = require('./responder');
+const ServiceBrowser = require('./browser');
+const RecordWatcher = require('./watcher');
+const RecordCache = require('./cache');
+const Transport = require('./transport');
+const HttpApi = require('./api');
+const { isLocalAddress } = require('./interfaces');
+const { SUPPORTED_TYPES, RECORD_TYPES, formatRecordData, encodeRecordData, reverseName } = require('./records');
+const {
+  NotFoundError,
+  TimeoutError,
+  AbortError,
+  NotRunningError,
+  StoppedError,
+  InvalidNameError
+} = require('./errors');
 
 /**
  * PigeonNS - A local-only mDNS resolver
@@ -17,17 +32,61 @@ class MDNSResolver extends EventEmitter {
       ttl: options.ttl || 120, // Default TTL of 120 seconds
       cacheSize: options.cacheSize || 1000,
       timeout: options.timeout || 5000, // Query timeout in ms
+      collectWindow: options.collectWindow || 1000, // resolveAll() collection window in ms
+      negativeTtl: options.negativeTtl || 0, // Seconds to remember failed lookups (0 disables)
+      sweepInterval: options.sweepInterval || 30000, // How often expired records are removed, in ms
+      minRemainingTtl: options.minRemainingTtl || 0, // Seconds of TTL a record needs to be answered from cache
+      retransmit: options.retransmit !== false, // Re-send unanswered queries with backoff
+      retryInterval: options.retryInterval || 1000, // First retransmission delay in ms, doubled each time
+      unicastResponse: options.unicastResponse || false, // Ask for a unicast reply to the first query (QU bit)
       server: options.server || false, // Enable HTTP server for browsers
       serverPort: options.serverPort || 5380,
       serverHost: options.serverHost || 'localhost',
       cors: options.cors !== false, // Enable CORS by default
+      interface: options.interface || null, // Interface name or address to run mDNS on
+      interfaces: options.interfaces || [], // Several interfaces, one socket each
+      family: options.family || 4, // 4, 6 (ff02::fb) or 'dual' for both
+      ip: options.ip || null, // IPv4 multicast group address (default: 224.0.0.251)
       ...options
     };
     
-    this.cache = new Map();
+    this.cache = new RecordCache({
+      maxSize: this.options.cacheSize,
+      sweepInterval: this.options.sweepInterval
+    });
+    this.cache.on('expired', (info) => {
+      this._unindexAddress(info.name, info.type, info.data);
+      this.emit('expired', info);
+    });
+    this.cache.on('evicted', (info) => {
+      for (const record of info.records) {
+        this._unindexAddress(info.name, info.type, record.data);
+      }
+      this.emit('evicted', info);
+    });
+    // Reverse index built from observed A/AAAA answers: reverse name -> hostnames
+    this.reverseIndex = new Map();
     this.mdns = null;
     this.pendingQueries = new Map();
+    this.pendingCollections = new Set();
+    this.browsers = new Set();
+    this.watchers = new Set();
     this.httpServer = null;
+
+    // Routes for the HTTP server, also used by MDNSServer and for mounting
+    // into other apps
+    this.api = new HttpApi(this, { cors: this.options.cors });
+
+    // Answers queries for names published through publish()
+    this.responder = new MDNSResponder({
+      ttl: this.options.ttl,
+      probe: this.options.probe,
+      probeInterval: this.options.probeInterval,
+      rename: this.options.rename
+    });
+    for (const event of ['published', 'unpublished', 'advertised', 'conflict']) {
+      this.responder.on(event, (info) => this.emit(event, info));
+    }
   }
 
   /**
@@ -47,6 +106,7 @@ class MDNSResolver extends EventEmitter {
     // `multicast-dns` from creating a real dgram socket (which creates UDP handles that
     // keep the process alive). We detect Jest by the presence of
     // JEST_WORKER_ID in the environment.
+    let socketOptions = {};
     if (process.env.JEST_WORKER_ID) {
       const fakeSocket = {
         on: () => {},
@@ -61,21 +121,39 @@ class MDNSResolver extends EventEmitter {
         dropMembership: () => {},
         setMulticastInterface: () => {}
       };
-      this.mdns = mdns({ bind: false, socket: fakeSocket });
-    } else {
-      // In production, create mdns with no options to use defaults (which includes binding)
-      this.mdns = mdns();
+      socketOptions = { bind: false, socket: fakeSocket };
     }
 
+    // In production the multicast-dns defaults are used (which includes
+    // binding), with one socket per selected interface and address family.
+    // Unknown interfaces fail here, before any socket is opened
+    this.mdns = new Transport({
+      interfaces: [].concat(this.options.interfaces || [], this.options.interface || []),
+      family: this.options.family,
+      ip: this.options.ip,
+      unicast: this.options.unicastResponse,
+      mdns: socketOptions
+    });
+
     // Listen for mDNS responses
-    this.mdns.on('response', (response) => {
-      this._handleResponse(response);
+    this.mdns.on('response', (response, rinfo) => {
+      this._handleResponse(response, rinfo);
+    });
+
+    // Watch other hosts' queries for duplicate-question suppression
+    this.mdns.on('query', (query, rinfo) => {
+      this._handleQuery(query, rinfo);
     });
 
     this.mdns.on('error', (err) => {
       this.emit('error', err);
     });
 
+    // Answer for published names and announce them
+    this.responder.attach(this.mdns);
+
+    this.cache.start();
+
     // Start HTTP server if enabled
     if (this.options.server) {
       this._startHttpServer();
@@ -89,9 +167,8 @@ class MDNSResolver extends EventEmitter {
    * @private
    */
   _startHttpServer() {
-    this.httpServer = http.createServer((req, res) => {
-      this._handleHttpRequest(req, res);
-    });
+    this.httpServer = http.createServer(this.api.handler);
+    this.httpServer.on('upgrade', this.api.upgradeHandler);
 
     this.httpServer.listen(this.options.serverPort, this.options.serverHost, () => {
       this.emit('server-started', {
@@ -111,106 +188,7 @@ class MDNSResolver extends EventEmitter {
    * @private
    */
   _handleHttpRequest(req, res) {
-    // Enable CORS if configured
-    if (this.options.cors) {
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    }
-
-    // Handle preflight
-    if (req.method === 'OPTIONS') {
-      res.writeHead(204);
-      res.end();
-      return;
-    }
-
-    // Only support GET requests
-    if (req.method !== 'GET') {
-      this._sendError(res, 405, 'Method not allowed');
-      return;
-    }
-
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const pathname = url.pathname;
-
-    // Health check endpoint
-    if (pathname === '/health') {
-      this._sendJSON(res, 200, {
-        status: 'ok',
-        cache: {
-          size: this.getCacheSize(),
-          entries: this.getCache()
-        }
-      });
-      return;
-    }
-
-    // Resolution endpoint
-    if (pathname === '/resolve') {
-      const hostname = url.searchParams.get('name') || url.searchParams.get('hostname');
-      const type = url.searchParams.get('type') || 'A';
-
-      if (!hostname) {
-        this._sendError(res, 400, 'Missing required parameter: name or hostname');
-        return;
-      }
-
-      // Resolve the hostname
-      this.resolve(hostname, type)
-        .then((address) => {
-          this._sendJSON(res, 200, {
-            hostname: hostname.endsWith('.local') ? hostname : `${hostname}.local`,
-            type: type,
-            address: address
-          });
-        })
-        .catch((err) => {
-          this._sendError(res, 404, err.message);
-        });
-      return;
-    }
-
-    // Default: API info
-    if (pathname === '/') {
-      this._sendJSON(res, 200, {
-        name: 'PigeonNS mDNS Resolution API',
-        version: '1.0.0',
-        endpoints: {
-          '/resolve': 'Resolve a .local hostname. Params: name (required), type (default: A)',
-          '/health': 'Health check and cache status'
-        },
-        examples: [
-          '/resolve?name=abc123.local',
-          '/resolve?name=device&type=AAAA',
-          '/health'
-        ]
-      });
-      return;
-    }
-
-    // 404 for everything else
-    this._sendError(res, 404, 'Not found');
-  }
-
-  /**
-   * Send JSON response
-   * @private
-   */
-  _sendJSON(res, statusCode, data) {
-    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(data, null, 2));
-  }
-
-  /**
-   * Send error response
-   * @private
-   */
-  _sendError(res, statusCode, message) {
-    this._sendJSON(res, statusCode, {
-      error: message,
-      statusCode: statusCode
-    });
+    this.api.handle(req, res);
   }
 
   /**
@@ -232,11 +210,30 @@ class MDNSResolver extends EventEmitter {
       });
     };
 
+    for (const browser of Array.from(this.browsers)) {
+      browser.stop();
+    }
+
+    for (const watcher of Array.from(this.watchers)) {
+      watcher.stop();
+    }
+
+    // WebSocket connections would keep the HTTP server from closing
+    this.api.close();
+
+    this.cache.stop();
+
+    // Pending resolveAll() collections are rejected the same way as queries
+    for (const collection of this.pendingCollections) {
+      setImmediate(() => collection.reject(new StoppedError()));
+      this.pendingCollections.delete(collection);
+    }
+
     // If there's no mdns instance, just reject any pending queries and return
     if (!this.mdns) {
       for (const [name, pending] of this.pendingQueries.entries()) {
         // Reject asynchronously so callers have a chance to attach rejection handlers
-        setImmediate(() => pending.reject(new Error('Resolver stopped')));
+        setImmediate(() => pending.reject(new StoppedError()));
         this.pendingQueries.delete(name);
       }
       // Stop HTTP server and emit stopped
@@ -249,14 +246,15 @@ class MDNSResolver extends EventEmitter {
     for (const [name, pending] of this.pendingQueries.entries()) {
       // Reject asynchronously to avoid unhandled promise rejection if the
       // caller hasn't attached a rejection handler yet.
-      setImmediate(() => pending.reject(new Error('Resolver stopped')));
+      setImmediate(() => pending.reject(new StoppedError()));
       this.pendingQueries.delete(name);
     }
     // Destroy/close the underlying mdns instance and return a promise that
     // resolves when cleanup is complete. Different versions of the
     // `multicast-dns` implementation may expose synchronous or
     // asynchronous `destroy` and may expose an underlying `socket` object.
-    return new Promise((resolve) => {
+    // Goodbye packets for published names are sent before the socket closes.
+    return this.responder.detach().then(() => new Promise((resolve) => {
       const mdnsInstance = this.mdns;
 
       const finish = () => {
@@ -323,119 +321,785 @@ class MDNSResolver extends EventEmitter {
         this.emit('stopped');
         resolve();
       }
-    });
+    }));
   }
 
   /**
-   * Resolve a .local domain name to an IP address
+   * Resolve a .local domain name to an IP address or other record data
    * @param {string} name - The domain name to resolve (e.g., "abc123.local")
-   * @param {string} type - Record type ('A' for IPv4, 'AAAA' for IPv6)
-   * @returns {Promise<string>} The resolved IP address
+   * @param {string} type - Record type: 'A' for IPv4, 'AAAA' for IPv6, or one
+   *   of 'TXT', 'SRV', 'PTR', 'HINFO' and 'ANY'
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels this call only; other
+   *   callers waiting for the same name keep waiting
+   * @param {number} [options.timeout] - Timeout in ms (default: options.timeout)
+   * @returns {Promise<*>} The resolved IP address for A/AAAA, the target name
+   *   for PTR, a key/value map for TXT, { priority, weight, port, target } for
+   *   SRV, { cpu, os } for HINFO, or an array of { type, data, ttl } for ANY
+   * @throws {TimeoutError} If no answer arrives within the timeout
+   * @throws {AbortError} If the signal is aborted first
    */
-  async resolve(name, type = 'A') {
+  async resolve(name, type = 'A', options = {}) {
     if (!this.mdns) {
-      throw new Error('Resolver is not running. Call start() first.');
+      throw new NotRunningError();
     }
 
-    // Normalize hostname to lowercase for case-insensitive matching
-    name = name.toLowerCase();
+    type = String(type).toUpperCase();
+    if (!SUPPORTED_TYPES.includes(type)) {
+      throw new Error(`Unsupported record type: ${type}`);
+    }
 
-    // Ensure name ends with .local
-    if (!name.endsWith('.local')) {
-      name = `${name}.local`;
+    name = this._normalizeName(name);
+
+    const { signal } = options;
+    const timeout = options.timeout || this.options.timeout;
+    if (signal && signal.aborted) {
+      throw new AbortError(name, type, signal.reason);
+    }
+
+    // ANY has no single answer: collect whatever arrives within the window
+    if (type === 'ANY') {
+      await this._collect(name, RECORD_TYPES, [{ name, type }], this.options.collectWindow, { signal, timeout });
+      return this._collectRecords(name, RECORD_TYPES);
     }
 
-    // Check cache first
+    // Check cache first. Records close to expiry are queried for again.
     const cacheKey = `${name}:${type}`;
-    const cached = this.cache.get(cacheKey);
-    
-    if (cached && cached.expires > Date.now()) {
-      this.emit('cache-hit', { name, type, address: cached.address });
-      return cached.address;
+    const cached = this._getCachedRecords(cacheKey, this.options.minRemainingTtl);
+
+    if (cached.length > 0) {
+      const data = cached[0].data;
+      this.emit('cache-hit', this._recordEvent(name, type, data, {
+        addresses: cached.map((record) => record.data)
+      }));
+      return data;
     }
 
-    // Check if we already have a pending query for this name
-    if (this.pendingQueries.has(cacheKey)) {
-      return this.pendingQueries.get(cacheKey).promise;
+    // A recent lookup timed out: fail fast instead of waiting again
+    if (this.cache.isNegative(cacheKey)) {
+      throw new NotFoundError(name, type);
     }
 
-    // Create new query promise
-    let promiseResolve, promiseReject;
-    const queryPromise = new Promise((resolve, reject) => {
-      promiseResolve = resolve;
-      promiseReject = reject;
+    // Join the query already in flight for this name, if there is one
+    const existing = this.pendingQueries.get(cacheKey);
+    if (existing) {
+      const promise = this._wait(existing, timeout, signal);
+      // A longer timeout keeps retransmissions going for longer
+      if (this.options.retransmit && !existing.retryTimer) {
+        this._scheduleRetransmit(existing);
+      }
+      return promise;
+    }
+
+    // Every caller waits on its own timeout and signal; the query itself
+    // lasts until it is answered or the last caller stops waiting
+    const pending = {
+      name,
+      type,
+      attempts: 0,
+      started: Date.now(),
+      deadline: Date.now(),
+      interval: this.options.retryInterval,
+      retryTimer: null,
+      suppressed: false,
+      waiters: new Set(),
+      resolve: (data) => {
+        this._endQuery(pending);
+        for (const waiter of pending.waiters) {
+          waiter.resolve(data);
+        }
+      },
+      reject: (err) => {
+        this._endQuery(pending);
+        for (const waiter of pending.waiters) {
+          waiter.reject(err);
+        }
+      }
+    };
+    this.pendingQueries.set(cacheKey, pending);
+
+    const promise = this._wait(pending, timeout, signal);
+    this._sendQuery(pending);
+
+    return promise;
+  }
+
+  /**
+   * Add a caller to a pending query. The returned promise settles with the
+   * query, or rejects on its own once `timeout` passes or `signal` aborts;
+   * the query stops when no caller is left waiting for it.
+   * @private
+   */
+  _wait(pending, timeout, signal) {
+    pending.deadline = Math.max(pending.deadline, Date.now() + timeout);
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        pending.waiters.delete(waiter);
+      };
+
+      const waiter = {
+        resolve: (data) => {
+          cleanup();
+          resolve(data);
+        },
+        reject: (err) => {
+          cleanup();
+          reject(err);
+        }
+      };
+
+      const leave = (err) => {
+        waiter.reject(err);
+        if (pending.waiters.size > 0) {
+          return;
+        }
+        this._endQuery(pending);
+        // Only a lookup that ran its course counts as a failure
+        if (err instanceof TimeoutError && this.options.negativeTtl > 0) {
+          this.cache.setNegative(`${pending.name}:${pending.type}`, this.options.negativeTtl);
+        }
+      };
+
+      const timer = setTimeout(() => leave(new TimeoutError(pending.name, pending.type, timeout)), timeout);
+      const onAbort = () => leave(new AbortError(pending.name, pending.type, signal.reason));
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      pending.waiters.add(waiter);
     });
+  }
 
-    const timeout = setTimeout(() => {
+  /**
+   * Stop retransmitting a pending query and forget it
+   * @private
+   */
+  _endQuery(pending) {
+    clearTimeout(pending.retryTimer);
+    pending.retryTimer = null;
+
+    const cacheKey = `${pending.name}:${pending.type}`;
+    if (this.pendingQueries.get(cacheKey) === pending) {
       this.pendingQueries.delete(cacheKey);
-      promiseReject(new Error(`Timeout resolving ${name}`));
-    }, this.options.timeout);
+    }
+  }
 
-    this.pendingQueries.set(cacheKey, {
-      resolve: (address) => {
-        clearTimeout(timeout);
-        this.pendingQueries.delete(cacheKey);
-        promiseResolve(address);
-      },
-      reject: (err) => {
+  /**
+   * Send the mDNS query for a pending resolve() and schedule its
+   * retransmission. Following RFC 6762 §5.2 the first retransmission is
+   * `retryInterval` ms after the first query and the interval doubles after
+   * each one, for as long as some caller's timeout allows.
+   * @private
+   */
+  _sendQuery(pending) {
+    // Another host asked the same question since our last query (RFC 6762
+    // §7.3), so the answer is already on its way: skip this one
+    if (pending.suppressed) {
+      pending.suppressed = false;
+      this.emit('query-suppressed', { name: pending.name, type: pending.type });
+    } else {
+      pending.attempts++;
+      const question = { name: pending.name, type: pending.type };
+      // Only the first query asks for a unicast reply (RFC 6762 §5.4), so
+      // retransmissions also refresh other hosts' caches
+      if (this.options.unicastResponse && pending.attempts === 1) {
+        question.unicastResponse = true;
+      }
+      this._query([question]);
+      this.emit('query', { name: pending.name, type: pending.type, attempt: pending.attempts });
+    }
+
+    if (this.options.retransmit) {
+      this._scheduleRetransmit(pending);
+    }
+  }
+
+  /**
+   * Schedule the next retransmission of a pending query, unless it would
+   * fall after the last caller's timeout
+   * @private
+   */
+  _scheduleRetransmit(pending) {
+    pending.retryTimer = null;
+    if (Date.now() + pending.interval >= pending.deadline) {
+      return;
+    }
+
+    pending.retryTimer = setTimeout(() => {
+      pending.retryTimer = null;
+      if (this.mdns && this.pendingQueries.get(`${pending.name}:${pending.type}`) === pending) {
+        this._sendQuery(pending);
+      }
+    }, pending.interval);
+    pending.interval *= 2;
+  }
+
+  /**
+   * Handle an mDNS query from another host. A question we are waiting to
+   * retransmit counts as asked (duplicate-question suppression). Our own
+   * queries come back through multicast loopback and are ignored.
+   * @private
+   */
+  _handleQuery(query, rinfo) {
+    // Most queries on a busy LAN arrive while nothing is pending
+    if (this.pendingQueries.size === 0 || !query.questions || (rinfo && isLocalAddress(rinfo.address))) {
+      return;
+    }
+
+    for (const question of query.questions) {
+      // The answer to a QU question goes to the asker only
+      const pending = !question.unicastResponse &&
+        this.pendingQueries.get(`${question.name.toLowerCase()}:${question.type}`);
+      if (pending) {
+        pending.suppressed = true;
+      }
+    }
+  }
+
+  /**
+   * Resolve a .local domain name to every address it currently answers with
+   *
+   * Unlike resolve(), which settles on the first answer, this keeps listening
+   * for `window` ms so that multi-homed hosts can report all of their
+   * interfaces before the result is returned.
+   *
+   * @param {string} name - The domain name to resolve (e.g., "abc123.local")
+   * @param {Object} [options]
+   * @param {string[]} [options.types=['A', 'AAAA']] - Record types to collect
+   * @param {number} [options.window] - Collection window in ms (default: options.collectWindow)
+   * @param {AbortSignal} [options.signal] - Cancels the lookup
+   * @param {number} [options.timeout] - Timeout in ms when nothing arrives (default: options.timeout)
+   * @returns {Promise<Array<{address: string, type: string, ttl: number}>>}
+   */
+  async resolveAll(name, options = {}) {
+    if (!this.mdns) {
+      throw new NotRunningError();
+    }
+
+    const types = options.types || ['A', 'AAAA'];
+    const window = options.window || this.options.collectWindow;
+
+    name = this._normalizeName(name);
+
+    if (options.signal && options.signal.aborted) {
+      throw new AbortError(name, types.join('/'), options.signal.reason);
+    }
+
+    // Answer from cache only when every requested type is still cached
+    const cached = types.map((type) => this._getCachedRecords(`${name}:${type}`, this.options.minRemainingTtl));
+    if (cached.every((records) => records.length > 0)) {
+      types.forEach((type, index) => {
+        const addresses = cached[index].map((record) => record.data);
+        this.emit('cache-hit', this._recordEvent(name, type, addresses[0], { addresses }));
+      });
+    } else {
+      await this._collect(name, types, types.map((type) => ({ name, type })), window, {
+        signal: options.signal,
+        timeout: options.timeout
+      });
+    }
+
+    return this._collectRecords(name, types).map(({ data, ...record }) => ({
+      address: data,
+      ...record
+    }));
+  }
+
+  /**
+   * Resolve several names at once. The lookups run in parallel and the
+   * promise resolves once every one of them has settled, which happens by
+   * the timeout at the latest; a failed name does not fail the others.
+   *
+   * @param {string[]} names - Domain names to resolve
+   * @param {string} type - Record type, as for resolve() (default: 'A')
+   * @param {Object} [options] - As for resolve(), applied to every name
+   * @returns {Promise<Array<{name: string, type: string, result: *, error: Error}>>}
+   *   One entry per name, in order, with either the result or the error
+   * @throws {NotRunningError} If the resolver is not running
+   */
+  async resolveMany(names, type = 'A', options = {}) {
+    if (!Array.isArray(names)) {
+      throw new TypeError('names must be an array');
+    }
+
+    if (!this.mdns) {
+      throw new NotRunningError();
+    }
+
+    type = String(type).toUpperCase();
+    if (!SUPPORTED_TYPES.includes(type)) {
+      throw new Error(`Unsupported record type: ${type}`);
+    }
+
+    const outcomes = await Promise.allSettled(names.map((name) => this.resolve(name, type, options)));
+    return outcomes.map((outcome, index) => (outcome.status === 'fulfilled'
+      ? { name: names[index], type, result: outcome.value }
+      : { name: names[index], type, error: outcome.reason }));
+  }
+
+  /**
+   * Send questions and collect answers of the given types for `window` ms.
+   * Once the window closes the promise resolves if anything was collected;
+   * if nothing has arrived yet, it settles on the first answer or the
+   * overall timeout instead. An aborted `signal` rejects with AbortError.
+   * @private
+   * @returns {Promise<void>} Resolves once the answers are in the cache
+   */
+  _collect(name, types, questions, window, options = {}) {
+    const hasRecords = () => types.some((type) => this._getCachedRecords(`${name}:${type}`).length > 0);
+    const { signal } = options;
+    const timeoutMs = Math.max(window, options.timeout || this.options.timeout);
+    const type = questions.map((question) => question.type).join('/');
+
+    const result = new Promise((resolve, reject) => {
+      const collection = {
+        name,
+        types,
+        windowClosed: false,
+        resolve: () => {
+          cleanup();
+          resolve();
+        },
+        reject: (err) => {
+          cleanup();
+          reject(err);
+        },
+        // Called by _handleResponse for every matching answer
+        onAnswer: () => {
+          if (collection.windowClosed) {
+            collection.resolve();
+          }
+        }
+      };
+
+      const windowTimer = setTimeout(() => {
+        collection.windowClosed = true;
+        if (hasRecords()) {
+          collection.resolve();
+        }
+      }, window);
+
+      const timeout = setTimeout(() => {
+        collection.reject(new TimeoutError(name, type, timeoutMs));
+      }, timeoutMs);
+
+      const onAbort = () => collection.reject(new AbortError(name, type, signal.reason));
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      const cleanup = () => {
+        clearTimeout(windowTimer);
         clearTimeout(timeout);
-        this.pendingQueries.delete(cacheKey);
-        promiseReject(err);
-      },
-      promise: queryPromise
-    });
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        this.pendingCollections.delete(collection);
+      };
 
-    // Send mDNS query
-    this.mdns.query({
-      questions: [{
-        name: name,
-        type: type
-      }]
+      this.pendingCollections.add(collection);
     });
 
-    this.emit('query', { name, type });
+    // Collections send a single query, so it is always the first one
+    this._query(this.options.unicastResponse
+      ? questions.map((question) => ({ ...question, unicastResponse: true }))
+      : questions);
+
+    for (const question of questions) {
+      this.emit('query', { name, type: question.type });
+    }
+
+    return result;
+  }
+
+  /**
+   * Normalize a hostname to lowercase and ensure it ends with .local
+   * @private
+   * @throws {InvalidNameError} If the name is empty or too long for DNS
+   */
+  _normalizeName(name) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new InvalidNameError(name, 'Invalid name: a hostname is required');
+    }
+
+    // Normalize hostname to lowercase for case-insensitive matching; a
+    // trailing dot (fully qualified form) is dropped
+    name = name.trim().toLowerCase().replace(/\.$/, '');
+
+    // Ensure name ends with .local
+    if (!name.endsWith('.local')) {
+      name = `${name}.local`;
+    }
+
+    // RFC 1035 §2.3.4: labels of 1-63 bytes, names of at most 255 bytes
+    // on the wire (a length byte per label plus the root label)
+    const labels = name.split('.');
+    if (labels.some((label) => label.length === 0)) {
+      throw new InvalidNameError(name, `Invalid name: ${name} (empty label)`);
+    }
+    if (labels.some((label) => Buffer.byteLength(label) > 63)) {
+      throw new InvalidNameError(name, `Invalid name: ${name} (label longer than 63 bytes)`);
+    }
+    if (Buffer.byteLength(name) + 2 > 255) {
+      throw new InvalidNameError(name, `Invalid name: ${name} (longer than 255 bytes)`);
+    }
+
+    return name;
+  }
+
+  /**
+   * Get the unexpired records cached under a key, optionally only those
+   * with at least `minRemaining` seconds of TTL left
+   * @private
+   */
+  _getCachedRecords(cacheKey, minRemaining = 0) {
+    const deadline = Date.now() + (minRemaining * 1000);
+    return this.cache.records(cacheKey).filter((record) => record.expires > deadline);
+  }
+
+  /**
+   * Send a query from the resolver, with the cached answers to its questions
+   * that still have more than half their TTL left in the Answer section, so
+   * that hosts do not send them again (known-answer suppression, RFC 6762
+   * §7.1). The transport splits long known-answer lists over several packets.
+   * @param {Object[]} questions
+   * @private
+   */
+  _query(questions) {
+    const now = Date.now();
+    const answers = [];
+
+    for (const question of questions) {
+      const name = question.name.toLowerCase();
+      const types = question.type === 'ANY' ? RECORD_TYPES : [question.type];
+
+      for (const type of types) {
+        const entry = this.cache.peek(`${name}:${type}`);
+        for (const record of entry ? entry.records : []) {
+          // Records resolve() would not answer from cache still need answers
+          const remaining = (record.expires - now) / 1000;
+          if (remaining > Math.max(record.ttl / 2, this.options.minRemainingTtl)) {
+            answers.push({
+              name,
+              type,
+              ttl: Math.floor(remaining),
+              data: encodeRecordData(type, record.data)
+            });
+          }
+        }
+      }
+    }
+
+    this.mdns.query(answers.length > 0 ? { questions, answers } : { questions });
+  }
+
+  /**
+   * Every cached record of the given types for a name, with its remaining TTL
+   * @private
+   */
+  _collectRecords(name, types) {
+    const now = Date.now();
+    const records = [];
 
-    return queryPromise;
+    for (const type of types) {
+      for (const record of this._getCachedRecords(`${name}:${type}`)) {
+        const entry = {
+          type: type,
+          data: record.data,
+          ttl: Math.max(0, Math.floor((record.expires - now) / 1000))
+        };
+        if (record.interface) {
+          entry.interface = record.interface;
+        }
+        records.push(entry);
+      }
+    }
+
+    return records;
   }
 
   /**
-   * Handle mDNS response
+   * Build a resolved/cache-hit event payload. A/AAAA events carry the
+   * address as `address`; every event carries the record data as `data`.
    * @private
    */
-  _handleResponse(response) {
+  _recordEvent(name, type, data, extra = {}) {
+    const event = { name, type };
+    if (type === 'A' || type === 'AAAA') {
+      event.address = data;
+    }
+    event.data = data;
+    return Object.assign(event, extra);
+  }
+
+  /**
+   * Handle mDNS response. `rinfo.interface` names the interface it arrived
+   * on, when known, and is recorded with every answer.
+   * @private
+   */
+  _handleResponse(response, rinfo) {
     if (!response.answers || response.answers.length === 0) {
       return;
     }
 
+    const iface = (rinfo && rinfo.interface) || null;
+
     for (const answer of response.answers) {
-      if (answer.type === 'A' || answer.type === 'AAAA') {
+      if (RECORD_TYPES.includes(answer.type)) {
         // Normalize hostname to lowercase for case-insensitive matching
         const name = answer.name.toLowerCase();
-        const address = answer.data;
+        const data = formatRecordData(answer.type, answer.data);
         const ttl = answer.ttl || this.options.ttl;
-        
-        // Add to cache
         const cacheKey = `${name}:${answer.type}`;
-        this.cache.set(cacheKey, {
-          address: address,
-          expires: Date.now() + (ttl * 1000)
-        });
 
-        // Manage cache size
-        if (this.cache.size > this.options.cacheSize) {
-          const firstKey = this.cache.keys().next().value;
-          this.cache.delete(firstKey);
+        // A TTL of zero is a goodbye packet: the host is giving up the record
+        if (answer.ttl === 0) {
+          this.cache.remove(cacheKey, data);
+          this._unindexAddress(name, answer.type, data);
+          continue;
         }
 
-        // Resolve pending query if exists
+        // Add to cache; the cache-flush bit replaces the cached RRset
+        this.cache.add(cacheKey, data, ttl, { flush: answer.flush, interface: iface });
+        this._indexAddress(name, answer.type, data);
+
+        // Resolve pending query if exists, noting how long it took
+        const extra = { ttl, reply: rinfo && rinfo.unicast ? 'unicast' : 'multicast' };
+        if (iface) {
+          extra.interface = iface;
+        }
         const pending = this.pendingQueries.get(cacheKey);
         if (pending) {
-          pending.resolve(address);
+          extra.stats = {
+            attempts: pending.attempts,
+            timeToAnswer: Date.now() - pending.started
+          };
+          pending.resolve(data);
         }
 
-        this.emit('resolved', { name, type: answer.type, address, ttl });
+        for (const collection of this.pendingCollections) {
+          if (collection.name === name && collection.types.includes(answer.type)) {
+            collection.onAnswer();
+          }
+        }
+
+        this.emit('resolved', this._recordEvent(name, answer.type, data, extra));
+      }
+    }
+
+    for (const browser of this.browsers) {
+      browser._handleResponse(response);
+    }
+
+    for (const watcher of this.watchers) {
+      watcher._handleResponse(response);
+    }
+  }
+
+  /**
+   * Reverse lookup: find the .local hostnames an IP address is advertised under
+   *
+   * Hostnames already seen in A/AAAA answers are returned from the reverse
+   * index; otherwise a PTR query for the in-addr.arpa / ip6.arpa name is sent
+   * and answers are collected for `collectWindow` ms.
+   *
+   * @param {string} ip - IPv4 or IPv6 address (e.g., "192.168.1.100")
+   * @returns {Promise<string[]>} The hostnames
+   */
+  async reverse(ip) {
+    if (!this.mdns) {
+      throw new NotRunningError();
+    }
+
+    const name = reverseName(ip);
+    if (!name) {
+      throw new InvalidNameError(ip, `Invalid IP address: ${ip}`);
+    }
+
+    const known = this._reverseLookup(name);
+    if (known.length > 0) {
+      this.emit('cache-hit', this._recordEvent(name, 'PTR', known[0], { hostnames: known }));
+      return known;
+    }
+
+    await this._collect(name, ['PTR'], [{ name, type: 'PTR' }], this.options.collectWindow);
+    return this._reverseLookup(name);
+  }
+
+  /**
+   * Hostnames for a reverse name, from the reverse index and cached PTR
+   * answers. Index entries whose address record has expired are dropped.
+   * @private
+   */
+  _reverseLookup(name) {
+    const hostnames = new Set();
+    const indexed = this.reverseIndex.get(name);
+
+    if (indexed) {
+      for (const key of indexed) {
+        const [hostname, type] = key.split(':');
+        const live = this._getCachedRecords(key).some((record) => reverseName(record.data) === name);
+        if (live) {
+          hostnames.add(hostname);
+        } else {
+          this._unindexAddress(hostname, type, null, name);
+        }
       }
     }
+
+    for (const record of this._getCachedRecords(`${name}:PTR`)) {
+      hostnames.add(record.data.toLowerCase());
+    }
+
+    return Array.from(hostnames);
+  }
+
+  /**
+   * Add an A/AAAA answer to the reverse index
+   * @private
+   */
+  _indexAddress(name, type, address) {
+    if (type !== 'A' && type !== 'AAAA') {
+      return;
+    }
+
+    const key = reverseName(address);
+    if (!key) {
+      return;
+    }
+
+    if (!this.reverseIndex.has(key)) {
+      this.reverseIndex.set(key, new Set());
+    }
+    this.reverseIndex.get(key).add(`${name}:${type}`);
+  }
+
+  /**
+   * Remove an A/AAAA answer from the reverse index
+   * @private
+   */
+  _unindexAddress(name, type, address, key = reverseName(address)) {
+    const indexed = key && this.reverseIndex.get(key);
+    if (!indexed) {
+      return;
+    }
+
+    indexed.delete(`${name}:${type}`);
+    if (indexed.size === 0) {
+      this.reverseIndex.delete(key);
+    }
+  }
+
+  /**
+   * Browse for DNS-SD service instances of a type on the local network
+   * @param {string} serviceType - The service type (e.g., "_http._tcp" or "_http._tcp.local")
+   * @returns {ServiceBrowser} An EventEmitter emitting `up`, `down` and `update`
+   *   with service objects ({ name, fqdn, type, host, port, txt, addresses })
+   */
+  browse(serviceType) {
+    if (!this.mdns) {
+      throw new NotRunningError();
+    }
+
+    if (typeof serviceType !== 'string' || !serviceType.startsWith('_')) {
+      throw new Error(`Invalid service type: ${serviceType}`);
+    }
+
+    const browser = new ServiceBrowser(this, serviceType);
+    this.browsers.add(browser);
+    browser.start();
+    return browser;
+  }
+
+  /**
+   * Keep a name's record fresh in the cache. The record is re-queried at
+   * 80-95% of its TTL (RFC 6762 §5.2) so resolve() keeps answering from cache.
+   * @param {string} name - The domain name to watch (e.g., "abc123.local")
+   * @param {string} [type='A'] - Record type; any type resolve() accepts except ANY
+   * @returns {RecordWatcher} An EventEmitter emitting `changed` and `lost`,
+   *   with getRecords() and stop()
+   */
+  watch(name, type = 'A') {
+    return this._watch(name, type, {});
+  }
+
+  /**
+   * Follow a name's record over time. Like watch(), but queries continuously
+   * at exponentially growing intervals (1s, 2s, 4s, ... up to an hour) so
+   * that changes are noticed as soon as possible.
+   * @param {string} name - The domain name to follow (e.g., "abc123.local")
+   * @param {string} [type='A'] - Record type; any type resolve() accepts except ANY
+   * @returns {RecordWatcher} An EventEmitter emitting `changed` and `lost`,
+   *   and an async iterator yielding { event, ...payload } for each of them
+   */
+  subscribe(name, type = 'A') {
+    return this._watch(name, type, { continuous: true });
+  }
+
+  /**
+   * @private
+   */
+  _watch(name, type, options) {
+    if (!this.mdns) {
+      throw new NotRunningError();
+    }
+
+    type = String(type).toUpperCase();
+    if (!RECORD_TYPES.includes(type)) {
+      throw new Error(`Unsupported record type: ${type}`);
+    }
+
+    const watcher = new RecordWatcher(this, this._normalizeName(name), type, options);
+    this.watchers.add(watcher);
+    watcher.start();
+    return watcher;
+  }
+
+  /**
+   * Publish a .local hostname so other hosts can resolve it. The name is
+   * probed for first; names published before start() are probed for and
+   * announced when the resolver starts.
+   * @param {string} name - The hostname to publish (e.g., "my-peer.local")
+   * @param {string|string[]} [addresses] - Addresses to answer with. Defaults to
+   *   the non-internal addresses of this machine.
+   * @param {Object} [options]
+   * @param {boolean} [options.probe] - Probe before announcing (default: options.probe)
+   * @param {boolean} [options.rename] - Rename to name-2.local etc. on conflict
+   *   (default: options.rename)
+   * @returns {Promise<string>} The name that was published
+   */
+  publish(name, addresses, options) {
+    return this.responder.publish(name, addresses, options);
+  }
+
+  /**
+   * Advertise a DNS-SD service so browsers on the network can discover it.
+   * Instance names that are already taken are renamed to "Name (2)" etc.
+   * @param {Object} service
+   * @param {string} service.name - Instance name (e.g., "My Signaling Server")
+   * @param {string} service.type - Service type (e.g., "_peerpigeon._udp")
+   * @param {number} service.port - Port the service listens on
+   * @param {Object} [service.txt] - TXT key/value map
+   * @param {string} [service.host] - Target hostname (default: this machine's hostname)
+   * @param {boolean} [service.publishHost=false] - Also publish the target hostname
+   * @returns {Promise<Object>} The advertised service, with `updateTxt(txt)` and `stop()`
+   */
+  advertise(service) {
+    return this.responder.advertise(service);
+  }
+
+  /**
+   * Stop answering for a published hostname and send a goodbye packet
+   * @param {string} name - The hostname to unpublish
+   * @returns {Promise<void>}
+   */
+  unpublish(name) {
+    return this.responder.unpublish(name);
   }
 
   /**
@@ -443,6 +1107,7 @@ class MDNSResolver extends EventEmitter {
    */
   clearCache() {
     this.cache.clear();
+    this.reverseIndex.clear();
     this.emit('cache-cleared');
   }
 
@@ -457,12 +1122,46 @@ class MDNSResolver extends EventEmitter {
    * Get cache contents (for debugging)
    */
   getCache() {
+    const now = Date.now();
     const result = {};
     for (const [key, value] of this.cache.entries()) {
-      result[key] = {
-        address: value.address,
-        expiresIn: Math.max(0, Math.floor((value.expires - Date.now()) / 1000))
-      };
+      // Negative entries only report when the remembered failure expires
+      if (value.negativeExpires && value.records.length === 0) {
+        result[key] = {
+          negative: true,
+          expiresIn: Math.max(0, Math.floor((value.negativeExpires - now) / 1000))
+        };
+        continue;
+      }
+
+      const records = value.records.map((record) => {
+        const entry = {
+          data: record.data,
+          ttl: record.ttl,
+          expiresIn: Math.max(0, Math.floor((record.expires - now) / 1000))
+        };
+        if (record.interface) {
+          entry.interface = record.interface;
+        }
+        return entry;
+      });
+      const expiresIn = Math.max(0, ...records.map((record) => record.expiresIn));
+      const type = key.slice(key.lastIndexOf(':') + 1);
+
+      // Address records are shown as addresses, everything else as data
+      if (type === 'A' || type === 'AAAA') {
+        result[key] = {
+          address: records.length > 0 ? records[0].data : null,
+          expiresIn: expiresIn,
+          addresses: records.map(({ data, ...record }) => ({ address: data, ...record }))
+        };
+      } else {
+        result[key] = {
+          data: records.length > 0 ? records[0].data : null,
+          expiresIn: expiresIn,
+          records: records
+        };
+      }
     }
     return result;
   }
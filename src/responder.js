@@ -0,0 +1,753 @@
+const EventEmitter = require('events');
+const net = require('net');
+const os = require('os');
+const packet = require('dns-packet');
+const types = require('dns-packet/types');
+const { encodeTxt } = require('./records');
+
+// DNS-SD service type enumeration name (RFC 6763 §9)
+const SERVICES_ENUMERATION = '_services._dns-sd._udp.local';
+
+/**
+ * mDNS responder
+ *
+ * Answers questions for hostnames published on this host (A/AAAA) and for
+ * DNS-SD services advertised from it (PTR/SRV/TXT). The responder
+ * does not own a socket: it is attached to the `multicast-dns` instance of a
+ * running MDNSResolver and listens for its `query` and `response` events.
+ *
+ * Before a name is announced it is probed for as described in RFC 6762 §8:
+ * three probe queries 250 ms apart, with the proposed records in the
+ * authority section so simultaneous probes can be tie-broken.
+ */
+class MDNSResponder extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      ttl: options.ttl || 120, // TTL of published records in seconds
+      announceInterval: options.announceInterval || 1000, // Delay between the two announcements in ms
+      probe: options.probe !== false, // Probe for names before announcing them
+      probeInterval: options.probeInterval || 250, // Delay between probes in ms
+      probeCount: options.probeCount || 3,
+      rename: options.rename || false // Rename automatically on conflict (name-2.local)
+    };
+
+    this.mdns = null;
+    this.registrations = new Map();
+    this.timers = new Set();
+    this.truncated = new Map(); // Truncated queries waiting for known answers, by sender
+    this._onQuery = (query, rinfo) => this._handleQuery(query, rinfo);
+    this._onResponse = (response, rinfo) => this._handleResponse(response, rinfo);
+  }
+
+  /**
+   * Attach to a multicast-dns instance and probe for every registered name
+   * @param {Object} mdnsInstance - The multicast-dns instance to answer on
+   */
+  attach(mdnsInstance) {
+    this.mdns = mdnsInstance;
+    this.mdns.on('query', this._onQuery);
+    this.mdns.on('response', this._onResponse);
+
+    for (const registration of this.registrations.values()) {
+      this._probe(registration);
+    }
+  }
+
+  /**
+   * Send goodbye packets for every announced name and detach from the
+   * multicast-dns instance. Registrations are kept so they are probed for
+   * and announced again on the next attach().
+   * @returns {Promise<void>} Resolves once the goodbye packets are sent
+   */
+  detach() {
+    if (!this.mdns) {
+      return Promise.resolve();
+    }
+
+    this._clearTimers();
+    this.truncated.clear();
+
+    const mdnsInstance = this.mdns;
+    const announced = Array.from(this.registrations.values())
+      .filter((registration) => registration.state === 'announced');
+
+    for (const registration of this.registrations.values()) {
+      registration.state = 'pending';
+    }
+
+    this.mdns = null;
+    mdnsInstance.removeListener('query', this._onQuery);
+    mdnsInstance.removeListener('response', this._onResponse);
+
+    return this._goodbye(mdnsInstance, announced);
+  }
+
+  /**
+   * Publish a .local hostname. The name is probed for first and only
+   * answered for once no other host has claimed it.
+   * @param {string} name - The hostname to publish (e.g., "my-peer.local")
+   * @param {string|string[]} [addresses] - IPv4/IPv6 addresses to answer with.
+   *   Defaults to the non-internal addresses of this machine.
+   * @param {Object} [options]
+   * @param {boolean} [options.probe] - Probe before announcing (default: options.probe)
+   * @param {boolean} [options.rename] - Rename on conflict (default: options.rename)
+   * @returns {Promise<string>} The name that was published, which differs from
+   *   `name` if the responder had to rename after a conflict
+   */
+  async publish(name, addresses, options = {}) {
+    name = normalizeName(name);
+    addresses = addresses ? [].concat(addresses) : localAddresses();
+
+    const invalid = addresses.find((address) => !net.isIP(address));
+    if (invalid) {
+      throw new Error(`Invalid address for ${name}: ${invalid}`);
+    }
+
+    const buildRecords = (hostname) => addresses.map((address) => ({
+      name: hostname,
+      type: net.isIPv4(address) ? 'A' : 'AAAA',
+      data: address,
+      flush: true
+    }));
+
+    const registration = {
+      name,
+      baseName: name,
+      attempt: 1,
+      buildRecords,
+      rename: (base, attempt) => base.replace(/\.local$/, `-${attempt}.local`),
+      records: buildRecords(name),
+      event: 'published',
+      info: () => ({ name: registration.name, addresses }),
+      state: 'pending',
+      probe: options.probe !== undefined ? options.probe : this.options.probe,
+      autoRename: options.rename !== undefined ? options.rename : this.options.rename
+    };
+
+    await this._register(registration);
+    return registration.name;
+  }
+
+  /**
+   * Advertise a DNS-SD service instance. Publishes the PTR, SRV and TXT
+   * records for the instance plus the `_services._dns-sd._udp.local`
+   * enumeration record. The instance name is probed for first; on a conflict
+   * it is renamed to "Name (2)", "Name (3)", ... unless `rename` is false.
+   * @param {Object} service
+   * @param {string} service.name - Instance name (e.g., "My Signaling Server")
+   * @param {string} service.type - Service type (e.g., "_peerpigeon._udp")
+   * @param {number} service.port - Port the service listens on
+   * @param {Object} [service.txt] - TXT key/value map
+   * @param {string} [service.host] - Target hostname. Defaults to this machine's
+   *   hostname, which the OS responder (avahi, mDNSResponder) usually answers for.
+   * @param {boolean} [service.publishHost=false] - Also publish the target
+   *   hostname with this machine's addresses, for hosts without an OS responder
+   * @param {boolean} [service.probe] - Probe before announcing (default: options.probe)
+   * @param {boolean} [service.rename] - Rename on conflict (default: true)
+   * @returns {Promise<Object>} The advertised service, with `updateTxt(txt)` and
+   *   `stop()` methods
+   */
+  async advertise(service = {}) {
+    const { name, port } = service;
+
+    if (!name || typeof name !== 'string') {
+      throw new Error('Service name is required');
+    }
+    if (typeof service.type !== 'string' || !service.type.startsWith('_')) {
+      throw new Error(`Invalid service type: ${service.type}`);
+    }
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error(`Invalid port for ${name}: ${port}`);
+    }
+
+    const type = normalizeName(service.type);
+    const host = normalizeName(service.host || os.hostname());
+    let txt = service.txt || {};
+
+    // Publishing a name the OS responder owns would look like a conflict to it
+    if (service.publishHost && !this.registrations.has(host)) {
+      // Conflicts for the hostname are reported through the conflict event
+      this.publish(host).catch(() => {});
+    }
+
+    const buildRecords = (fqdn) => [
+      { name: type, type: 'PTR', data: fqdn, flush: false },
+      { name: SERVICES_ENUMERATION, type: 'PTR', data: type, flush: false },
+      { name: fqdn, type: 'SRV', data: { priority: 0, weight: 0, port, target: host }, flush: true },
+      { name: fqdn, type: 'TXT', data: encodeTxt(txt), flush: true }
+    ];
+
+    const describe = () => ({
+      name: instanceName(registration.name, type),
+      fqdn: registration.name,
+      type,
+      host,
+      port,
+      txt: { ...txt }
+    });
+
+    const fqdn = `${name}.${type}`;
+    const registration = {
+      name: fqdn,
+      baseName: name,
+      attempt: 1,
+      buildRecords,
+      rename: (base, attempt) => `${base} (${attempt}).${type}`,
+      records: buildRecords(fqdn),
+      event: 'advertised',
+      info: describe,
+      state: 'pending',
+      probe: service.probe !== undefined ? service.probe : this.options.probe,
+      autoRename: service.rename !== false
+    };
+
+    await this._register(registration);
+
+    return {
+      ...describe(),
+      updateTxt: (newTxt) => {
+        txt = newTxt || {};
+        registration.records = buildRecords(registration.name);
+        if (this._isCurrent(registration) && registration.state === 'announced') {
+          this._announce(registration);
+        }
+        return describe();
+      },
+      stop: () => this.unpublish(registration.name)
+    };
+  }
+
+  /**
+   * Stop answering for a published hostname and send a goodbye packet
+   * @param {string} name - The hostname to unpublish
+   * @returns {Promise<void>} Resolves once the goodbye packet is sent
+   */
+  unpublish(name) {
+    name = normalizeName(name);
+    const registration = this.registrations.get(name);
+
+    if (!registration) {
+      return Promise.resolve();
+    }
+
+    this.registrations.delete(name);
+    registration.reject(new Error(`${registration.name} was unpublished`));
+    this.emit('unpublished', { name: registration.name });
+
+    if (!this.mdns || registration.state !== 'announced') {
+      return Promise.resolve();
+    }
+
+    return this._goodbye(this.mdns, [registration]);
+  }
+
+  /**
+   * Get the hostnames and service instances currently published
+   * @returns {string[]}
+   */
+  getPublished() {
+    return Array.from(this.registrations.values()).map((registration) => registration.name);
+  }
+
+  /**
+   * Add a registration and start probing for it if attached
+   * @private
+   * @returns {Promise<void>} Resolves once the registration is announced
+   */
+  _register(registration) {
+    return new Promise((resolve, reject) => {
+      registration.resolve = resolve;
+      registration.reject = reject;
+      this._add(registration);
+    });
+  }
+
+  /**
+   * Store a registration, replacing any other for the same name
+   * @private
+   */
+  _add(registration) {
+    const key = registration.name.toLowerCase();
+    const existing = this.registrations.get(key);
+    if (existing) {
+      existing.reject(new Error(`${registration.name} was published again`));
+    }
+
+    this.registrations.set(key, registration);
+
+    if (this.mdns) {
+      this._probe(registration);
+    }
+  }
+
+  /**
+   * Send the probe queries for a registration, then announce it
+   * @private
+   */
+  _probe(registration) {
+    if (!registration.probe) {
+      this._announce(registration);
+      return;
+    }
+
+    registration.state = 'probing';
+    let sent = 0;
+
+    const sendProbe = () => {
+      if (!this._isCurrent(registration) || registration.state !== 'probing') {
+        return;
+      }
+
+      if (sent === this.options.probeCount) {
+        this._announce(registration);
+        return;
+      }
+
+      sent++;
+      const unique = registration.records.filter((record) => record.flush);
+      this.mdns.query({
+        questions: uniqueNames(unique).map((name) => ({ name, type: 'ANY' })),
+        // The cache-flush bit is not used in the authority section of probes
+        authorities: unique.map((record) => ({ ...this._withTtl(record, this.options.ttl), flush: false }))
+      });
+      this.emit('probe', { name: registration.name, attempt: sent });
+
+      this._schedule(sendProbe, this.options.probeInterval);
+    };
+
+    // RFC 6762 §8.1: wait a random 0-250 ms before the first probe so hosts
+    // powered on together do not probe in lockstep
+    this._schedule(sendProbe, Math.floor(Math.random() * this.options.probeInterval));
+  }
+
+  /**
+   * Send unsolicited announcements for a registration. RFC 6762 §8.3 asks
+   * for at least two, one second apart.
+   * @private
+   */
+  _announce(registration) {
+    const wasAnnounced = registration.state === 'announced';
+    registration.state = 'announced';
+
+    const send = () => {
+      if (!this._isCurrent(registration) || registration.state !== 'announced') {
+        return;
+      }
+      this.mdns.respond({
+        answers: registration.records.map((record) => this._withTtl(record, this.options.ttl))
+      });
+    };
+
+    send();
+    this._schedule(send, this.options.announceInterval);
+
+    // Re-announcements after a TXT update are not a new publication
+    if (!wasAnnounced) {
+      this.emit(registration.event, registration.info());
+      registration.resolve();
+    }
+  }
+
+  /**
+   * Answer questions for published names, and tie-break simultaneous probes
+   * @private
+   */
+  _handleQuery(query, rinfo) {
+    if (!this.mdns || !query.questions) {
+      return;
+    }
+
+    // Known answers that did not fit in a truncated query follow in packets
+    // without questions (RFC 6762 §7.2)
+    const sender = rinfo ? `${rinfo.address}:${rinfo.port}` : null;
+    const truncated = sender && this.truncated.get(sender);
+    if (truncated && query.questions.length === 0) {
+      truncated.knownAnswers.push(...(query.answers || []));
+      return;
+    }
+
+    if (query.authorities && query.authorities.length > 0) {
+      this._handleProbe(query);
+    }
+
+    if (sender && (query.flags & packet.TRUNCATED_RESPONSE)) {
+      // Wait 400-500 ms for the rest of the known answers before answering
+      const pending = { knownAnswers: (query.answers || []).slice() };
+      this.truncated.set(sender, pending);
+      this._schedule(() => {
+        if (this.truncated.get(sender) === pending) {
+          this.truncated.delete(sender);
+        }
+        this._answer(query, pending.knownAnswers, rinfo);
+      }, 400 + Math.random() * 100);
+      return;
+    }
+
+    this._answer(query, query.answers || [], rinfo);
+  }
+
+  /**
+   * Answer the questions of a query, leaving out records the asker listed
+   * as known answers with at least half their TTL left (known-answer
+   * suppression, RFC 6762 §7.1)
+   * @private
+   */
+  _answer(query, knownAnswers, rinfo) {
+    if (!this.mdns) {
+      return;
+    }
+
+    const records = this._announcedRecords();
+    const answers = [];
+    const known = (record) => knownAnswers.some((answer) =>
+      answer.ttl >= this.options.ttl / 2 && sameRecord(answer, record)
+    );
+
+    for (const question of query.questions) {
+      const name = question.name.toLowerCase();
+
+      for (const record of records) {
+        if (record.name.toLowerCase() === name &&
+            (question.type === 'ANY' || question.type === record.type) &&
+            !answers.some((answer) => sameRecord(answer, record)) &&
+            !known(record)) {
+          answers.push(record);
+        }
+      }
+    }
+
+    if (answers.length === 0) {
+      return;
+    }
+
+    const additionals = [];
+    for (const answer of answers) {
+      for (const record of this._additionalsFor(answer, records)) {
+        if (!answers.concat(additionals).some((existing) => sameRecord(existing, record))) {
+          additionals.push(record);
+        }
+      }
+    }
+
+    const response = {
+      answers: answers.map((record) => this._withTtl(record, this.options.ttl)),
+      additionals: additionals.map((record) => this._withTtl(record, this.options.ttl))
+    };
+
+    // Askers that set the QU bit on every question get a unicast reply
+    // (RFC 6762 §5.4); everyone else's answers are multicast
+    if (rinfo && query.questions.every((question) => question.unicastResponse)) {
+      this.mdns.respond(response, rinfo);
+    } else {
+      this.mdns.respond(response);
+    }
+    this.emit('answered', { questions: query.questions, answers, rinfo });
+  }
+
+  /**
+   * Records of every registration that has finished probing. Names are not
+   * answered for until then.
+   * @private
+   */
+  _announcedRecords() {
+    const records = [];
+    for (const registration of this.registrations.values()) {
+      if (registration.state === 'announced') {
+        records.push(...registration.records);
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Records worth sending in the additional section along with an answer,
+   * so the querier does not have to ask for them (RFC 6762 §6.2, RFC 6763 §12)
+   * @private
+   */
+  _additionalsFor(answer, records) {
+    const addressesOf = (host) => records.filter((record) => (
+      record.name.toLowerCase() === host.toLowerCase() && (record.type === 'A' || record.type === 'AAAA')
+    ));
+
+    switch (answer.type) {
+      case 'PTR': {
+        const instance = records.filter((record) => (
+          record.name.toLowerCase() === answer.data.toLowerCase() && (record.type === 'SRV' || record.type === 'TXT')
+        ));
+        const srv = instance.filter((record) => record.type === 'SRV');
+        return instance.concat(...srv.map((record) => addressesOf(record.data.target)));
+      }
+      case 'SRV':
+        return addressesOf(answer.data.target);
+      case 'A':
+      case 'AAAA':
+        // Records of the other address family
+        return addressesOf(answer.name).filter((record) => record.type !== answer.type);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Tie-break against another host probing for one of our names at the same
+   * time (RFC 6762 §8.2). The host whose records sort lexicographically later
+   * wins; the loser waits one second and probes again.
+   * @private
+   */
+  _handleProbe(query) {
+    for (const registration of this.registrations.values()) {
+      if (registration.state !== 'probing') {
+        continue;
+      }
+
+      const names = uniqueNames(registration.records.filter((record) => record.flush));
+      const theirs = query.authorities.filter((record) => names.includes(record.name.toLowerCase()));
+      if (theirs.length === 0) {
+        continue;
+      }
+
+      const ours = registration.records.filter((record) => record.flush);
+      // Identical records are our own probe looped back to us
+      if (compareRecordSets(ours, theirs) < 0) {
+        registration.state = 'pending';
+        this.emit('probe-deferred', { name: registration.name });
+        this._schedule(() => {
+          if (this._isCurrent(registration) && registration.state === 'pending') {
+            this._probe(registration);
+          }
+        }, 1000);
+      }
+    }
+  }
+
+  /**
+   * Detect other hosts answering with different records for our names
+   * @private
+   */
+  _handleResponse(response) {
+    const records = (response.answers || []).concat(response.additionals || []);
+    if (records.length === 0) {
+      return;
+    }
+
+    for (const registration of Array.from(this.registrations.values())) {
+      if (registration.state !== 'probing' && registration.state !== 'announced') {
+        continue;
+      }
+
+      const ours = registration.records.filter((record) => record.flush);
+      const names = uniqueNames(ours);
+      const conflicting = records.filter((record) => (
+        record.ttl > 0 &&
+        names.includes(record.name.toLowerCase()) &&
+        !ours.some((own) => sameRecord(own, record))
+      ));
+
+      if (conflicting.length > 0) {
+        this._handleConflict(registration, conflicting);
+      }
+    }
+  }
+
+  /**
+   * Give up a name another host owns: rename and probe again, or withdraw
+   * @private
+   */
+  _handleConflict(registration, records) {
+    const name = registration.name;
+    const wasAnnounced = registration.state === 'announced';
+    registration.state = 'pending';
+    this.registrations.delete(name.toLowerCase());
+
+    if (registration.autoRename) {
+      registration.attempt++;
+      registration.name = registration.rename(registration.baseName, registration.attempt);
+      registration.records = registration.buildRecords(registration.name);
+    }
+
+    this.emit('conflict', {
+      name,
+      records,
+      renamed: registration.autoRename ? registration.name : null
+    });
+
+    if (wasAnnounced && !registration.autoRename) {
+      this.emit('unpublished', { name });
+    }
+
+    if (registration.autoRename) {
+      this._add(registration);
+    } else {
+      registration.reject(new Error(`Name conflict for ${name}`));
+    }
+  }
+
+  /**
+   * Send goodbye packets (TTL=0) for registrations
+   * @private
+   */
+  _goodbye(mdnsInstance, registrations) {
+    // Shared records (like the service enumeration PTR) stay up while another
+    // registration still publishes them
+    const remaining = this.mdns === mdnsInstance ? this._announcedRecords() : [];
+    const answers = [];
+    for (const registration of registrations) {
+      for (const record of registration.records) {
+        if (!remaining.some((other) => sameRecord(other, record))) {
+          answers.push(this._withTtl(record, 0));
+        }
+      }
+    }
+
+    if (answers.length === 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      try {
+        mdnsInstance.respond({ answers }, () => resolve());
+      } catch (err) {
+        // The socket may already be gone; a missed goodbye only means peers
+        // keep the record until its TTL runs out
+        resolve();
+      }
+    });
+  }
+
+  /**
+   * Whether a registration is still the active one for its name
+   * @private
+   */
+  _isCurrent(registration) {
+    return this.mdns !== null && this.registrations.get(registration.name.toLowerCase()) === registration;
+  }
+
+  /**
+   * Copy a record with a TTL applied
+   * @private
+   */
+  _withTtl(record, ttl) {
+    return { ...record, ttl };
+  }
+
+  /**
+   * Run a function after a delay; cancelled by detach()
+   * @private
+   */
+  _schedule(fn, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, delay);
+    this.timers.add(timer);
+  }
+
+  /**
+   * Cancel scheduled probes and announcements
+   * @private
+   */
+  _clearTimers() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+}
+
+/**
+ * Normalize a hostname to lowercase and ensure it ends with .local
+ * @private
+ */
+function normalizeName(name) {
+  name = name.toLowerCase();
+  return name.endsWith('.local') ? name : `${name}.local`;
+}
+
+/**
+ * Instance label of a service instance name ("Name._http._tcp.local" -> "Name")
+ * @private
+ */
+function instanceName(fqdn, type) {
+  return fqdn.slice(0, fqdn.length - type.length - 1);
+}
+
+/**
+ * Owner names of a list of records, without duplicates
+ * @private
+ */
+function uniqueNames(records) {
+  return Array.from(new Set(records.map((record) => record.name.toLowerCase())));
+}
+
+/**
+ * Raw rdata of a record, as compared by RFC 6762 §8.2
+ * @private
+ */
+function rdata(record) {
+  // The encoders prefix the rdata with its 2-byte length
+  return packet.record(record.type).encode(record.data).slice(2);
+}
+
+/**
+ * Whether two records have the same name, type and rdata
+ * @private
+ */
+function sameRecord(a, b) {
+  return a.name.toLowerCase() === b.name.toLowerCase() &&
+    a.type === b.type &&
+    rdata(a).equals(rdata(b));
+}
+
+/**
+ * Compare two records by class, type and rdata
+ * @private
+ */
+function compareRecords(a, b) {
+  const typeDiff = types.toType(a.type) - types.toType(b.type);
+  if (typeDiff !== 0) {
+    return typeDiff;
+  }
+  return Buffer.compare(rdata(a), rdata(b));
+}
+
+/**
+ * Lexicographically compare two sets of probe records (RFC 6762 §8.2.1).
+ * Both sets are sorted first; if one runs out first it sorts earlier.
+ * @private
+ */
+function compareRecordSets(ours, theirs) {
+  ours = ours.slice().sort(compareRecords);
+  theirs = theirs.slice().sort(compareRecords);
+
+  for (let i = 0; i < Math.min(ours.length, theirs.length); i++) {
+    const diff = compareRecords(ours[i], theirs[i]);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+
+  return ours.length - theirs.length;
+}
+
+/**
+ * Non-internal IPv4/IPv6 addresses of this machine
+ * @private
+ */
+function localAddresses() {
+  const addresses = [];
+  const interfaces = os.networkInterfaces();
+
+  for (const name of Object.keys(interfaces)) {
+    for (const iface of interfaces[name]) {
+      if (!iface.internal) {
+        addresses.push(iface.address);
+      }
+    }
+  }
+
+  return addresses;
+}
+
+module.exports = MDNSResponder;
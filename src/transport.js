@@ -0,0 +1,439 @@
+const mdns = require('multicast-dns');
+const packet = require('dns-packet');
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const net = require('net');
+const { listInterfaces, resolveInterfaces, ipv6Interfaces, interfaceFor } = require('./interfaces');
+
+// IPv6 mDNS multicast group (RFC 6762 §3); multicast-dns defaults to the
+// IPv4 group 224.0.0.251
+const IPV6_GROUP = 'ff02::fb';
+
+const FAMILIES = [4, 6, 'dual'];
+
+// Largest query sent in one packet: an Ethernet MTU of 1500 bytes less the
+// IPv6 and UDP headers (RFC 6762 §17)
+const MAX_PACKET_SIZE = 1452;
+
+// A question class with the top bit set asks for a unicast response (the QU
+// bit, RFC 6762 §5.4). dns-packet decodes such classes as "UNKNOWN_<n>" but
+// cannot encode them, so QU queries are encoded as IN and the bit is set on
+// the encoded packet.
+const QU_BIT = 0x8000;
+const QU_CLASS = `UNKNOWN_${QU_BIT | 1}`;
+
+/**
+ * mDNS sockets for the resolver
+ *
+ * Opens one multicast-dns socket per selected interface and address family
+ * and exposes the same interface as a multicast-dns instance: query(),
+ * respond(), send(), destroy() and the `query`, `response`, `error` and
+ * `warning` events.
+ *
+ * IPv4 uses 224.0.0.251 on the OS default interface unless interfaces are
+ * selected. IPv6 uses [ff02::fb], which needs an explicit interface, so
+ * every external interface with an IPv6 address is used unless interfaces
+ * are selected.
+ *
+ * Outgoing packets go out on every socket, so queries reach both groups in
+ * dual-stack mode. Incoming packets carry the name of the interface they
+ * arrived on as `rinfo.interface`, worked out from the sender's subnet or
+ * IPv6 scope. Every socket sees multicast traffic for the whole host, so
+ * with several sockets a packet is only passed on by the socket of the
+ * interface it belongs to.
+ *
+ * Queries whose known answers do not fit in one packet are split over
+ * several, all but the last with the TC bit set (RFC 6762 §7.2).
+ *
+ * Questions with `unicastResponse` set are sent with the QU bit, and
+ * incoming QU questions are decoded the same way. With `unicast` the
+ * transport also listens on port 5353 of each interface address: replies
+ * sent straight to us arrive there rather than on the multicast sockets,
+ * which is how `rinfo.unicast` tells the two kinds of reply apart.
+ */
+class Transport extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.interfaces] - Interface names or addresses
+   * @param {number|string} [options.family=4] - 4, 6 or 'dual'
+   * @param {string} [options.ip] - IPv4 multicast group address (default: 224.0.0.251)
+   * @param {boolean} [options.unicast=false] - Listen for unicast replies
+   * @param {Object} [options.mdns] - Extra options for every multicast-dns socket
+   * @throws {Error} If the family is invalid, a selected interface does not
+   *   exist, or no interface can be used
+   */
+  constructor(options = {}) {
+    super();
+
+    const family = options.family || 4;
+    if (!FAMILIES.includes(family)) {
+      throw new Error(`Invalid address family: ${family}. Use 4, 6 or 'dual'`);
+    }
+
+    const selections = options.interfaces || [];
+    const families = family === 'dual' ? [4, 6] : [family];
+
+    // Interfaces are looked up before any socket is opened
+    const targets = [];
+    for (const socketFamily of families) {
+      let interfaces;
+      if (selections.length > 0) {
+        interfaces = resolveInterfaces(selections, socketFamily);
+      } else {
+        interfaces = socketFamily === 4 ? [null] : ipv6Interfaces();
+      }
+      for (const iface of interfaces) {
+        targets.push({ family: socketFamily, iface });
+      }
+    }
+
+    if (targets.length === 0) {
+      throw new Error(`No network interface available for IPv${family === 'dual' ? '4 or IPv6' : family}`);
+    }
+
+    this.family = family;
+    this.rawSenders = new Map(); // Sends an encoded packet, by sending socket
+    this.sockets = targets.map(({ family: socketFamily, iface }) => ({
+      family: socketFamily,
+      iface,
+      instance: this._open(socketFamily, iface, options)
+    }));
+
+    // Unicast listeners receive packets but never send
+    this.listeners = [];
+    if (options.unicast) {
+      for (const { family: socketFamily, iface } of targets) {
+        const addresses = iface
+          ? [iface]
+          : listInterfaces().filter((other) => other.family === socketFamily && !other.internal);
+        for (const address of addresses) {
+          this.listeners.push({
+            family: socketFamily,
+            iface: address,
+            instance: this._listen(socketFamily, address, options)
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Send a raw packet on every socket, or only on the socket of
+   * `rinfo.interface` when it is set
+   */
+  send(packet, rinfo, cb) {
+    if (typeof rinfo === 'function') {
+      return this.send(packet, null, rinfo);
+    }
+    this._each(rinfo, (instance, done) => instance.send(packet, rinfo, done), cb);
+  }
+
+  /**
+   * Send a response on every socket (see send())
+   */
+  respond(response, rinfo, cb) {
+    if (typeof rinfo === 'function') {
+      return this.respond(response, null, rinfo);
+    }
+    this._each(rinfo, (instance, done) => instance.respond(response, rinfo || undefined, done), cb);
+  }
+
+  /**
+   * Send a query on every socket (see send())
+   */
+  query(query, rinfo, cb) {
+    if (typeof rinfo === 'function') {
+      return this.query(query, null, rinfo);
+    }
+    const questions = query.questions || [];
+    const packets = splitKnownAnswers({
+      ...query,
+      questions: questions.map(({ unicastResponse, ...question }) => question)
+    });
+
+    // Only the first packet carries the questions
+    const qu = questions.some((question) => question.unicastResponse)
+      ? withQuBits(packets[0], questions)
+      : null;
+
+    this._each(rinfo, (instance, done) => {
+      let remaining = packets.length;
+      let error = null;
+      const sent = (err) => {
+        error = error || err || null;
+        if (--remaining === 0) {
+          done(error);
+        }
+      };
+
+      // Sent back to back, as RFC 6762 §7.2 asks
+      packets.forEach((part, index) => {
+        if (index === 0 && qu) {
+          this.rawSenders.get(instance)(qu, rinfo, sent);
+        } else if (rinfo) {
+          instance.query(part, rinfo, sent);
+        } else {
+          instance.query(part, sent);
+        }
+      });
+    }, cb);
+  }
+
+  /**
+   * Close every socket
+   */
+  destroy(cb) {
+    this._run(this.sockets.concat(this.listeners), (instance, done) => instance.destroy(done), cb);
+  }
+
+  /**
+   * Create the multicast-dns socket for one family and interface
+   * @private
+   */
+  _open(family, iface, options) {
+    const socketOptions = { ...options.mdns };
+
+    if (family === 6) {
+      // IPv6 memberships and outgoing packets are scoped to the interface
+      Object.assign(socketOptions, {
+        type: 'udp6',
+        ip: IPV6_GROUP,
+        interface: `::%${iface.name}`
+      });
+      if (socketOptions.bind === undefined) {
+        socketOptions.bind = '::';
+      }
+    } else {
+      if (options.ip) {
+        socketOptions.ip = options.ip;
+      }
+      if (iface) {
+        // Multicast memberships and outgoing packets use the interface, but
+        // the socket must not be bound to its unicast address or it would
+        // never see multicast traffic
+        socketOptions.interface = iface.address;
+        if (socketOptions.bind === undefined) {
+          socketOptions.bind = '0.0.0.0';
+        }
+      }
+    }
+
+    // The socket is made here rather than by multicast-dns, so that QU
+    // queries can be written to it once encoded
+    const socket = socketOptions.socket || dgram.createSocket({
+      type: family === 6 ? 'udp6' : 'udp4',
+      reuseAddr: socketOptions.reuseAddr !== false
+    });
+    socketOptions.socket = socket;
+
+    const group = {
+      address: socketOptions.ip || '224.0.0.251',
+      port: typeof socketOptions.port === 'number' ? socketOptions.port : 5353
+    };
+    // multicast-dns does not bind without a port
+    let bound = socketOptions.bind === false || !group.port;
+    socket.once('listening', () => { bound = true; });
+
+    const instance = mdns(socketOptions);
+    this.rawSenders.set(instance, (message, rinfo, cb) => {
+      const port = rinfo ? rinfo.port : group.port;
+      const address = rinfo ? rinfo.address || rinfo.host || group.address : group.address;
+      const send = () => {
+        try {
+          socket.send(message, 0, message.length, port, address, cb);
+        } catch (err) {
+          // Closed by destroy()
+          process.nextTick(cb, err);
+        }
+      };
+      if (bound) {
+        send();
+      } else {
+        // Like multicast-dns, wait for the socket to be bound
+        socket.once('listening', send);
+      }
+    });
+    instance.on('query', (query, rinfo) => this._receive('query', query, rinfo, family, iface));
+    instance.on('response', (response, rinfo) => this._receive('response', response, rinfo, family, iface));
+    instance.on('error', (err) => this.emit('error', err));
+    instance.on('warning', (err) => this.emit('warning', err));
+    return instance;
+  }
+
+  /**
+   * Create a socket bound to port 5353 of one interface address. Unicast
+   * packets to that address go to the most specific bound socket, so they
+   * arrive here, while multicast traffic keeps going to the multicast sockets.
+   * @private
+   */
+  _listen(family, iface, options) {
+    const socketOptions = { ...options.mdns, multicast: false };
+
+    if (family === 6) {
+      // multicast-dns insists on a group and interface for IPv6 sockets
+      Object.assign(socketOptions, { type: 'udp6', ip: IPV6_GROUP, interface: `::%${iface.name}` });
+    }
+    if (socketOptions.bind === undefined) {
+      socketOptions.bind = family === 6 && iface.address.startsWith('fe80:')
+        ? `${iface.address}%${iface.name}`
+        : iface.address;
+    }
+
+    const instance = mdns(socketOptions);
+    const receive = (event) => (packet, rinfo) => {
+      this.emit(event, decode(packet), { ...rinfo, interface: iface.name, unicast: true });
+    };
+    instance.on('query', receive('query'));
+    instance.on('response', receive('response'));
+    instance.on('error', (err) => this.emit('error', err));
+    instance.on('warning', (err) => this.emit('warning', err));
+    return instance;
+  }
+
+  /**
+   * Run an asynchronous operation on the sending sockets `rinfo` selects. A
+   * unicast destination selects the sockets of its family and interface.
+   * @private
+   */
+  _each(rinfo, operation, cb) {
+    let sockets = this.sockets;
+
+    if (rinfo) {
+      const family = net.isIP(String(rinfo.address || rinfo.host || '').split('%')[0]);
+      const matching = sockets.filter((socket) =>
+        (!family || socket.family === family) &&
+        (!rinfo.interface || (socket.iface && socket.iface.name === rinfo.interface))
+      );
+      if (matching.length > 0) {
+        sockets = matching;
+      } else if (family) {
+        sockets = sockets.filter((socket) => socket.family === family).slice(0, 1);
+      }
+    }
+
+    this._run(sockets, operation, cb);
+  }
+
+  /**
+   * Run an asynchronous operation on each socket and call `cb` once all of
+   * them finished, with the first error if any
+   * @private
+   */
+  _run(sockets, operation, cb) {
+    let remaining = sockets.length;
+    let error = null;
+    const done = (err) => {
+      error = error || err || null;
+      if (--remaining === 0 && typeof cb === 'function') {
+        cb(error);
+      }
+    };
+
+    if (remaining === 0 && typeof cb === 'function') {
+      process.nextTick(cb, null);
+    }
+
+    for (const { instance } of sockets) {
+      operation(instance, done);
+    }
+  }
+
+  /**
+   * Tag an incoming packet with its interface and pass it on, unless another
+   * socket is responsible for it
+   * @private
+   */
+  _receive(event, packet, rinfo, family, iface) {
+    rinfo = rinfo || {};
+    packet = decode(packet);
+
+    if (!iface) {
+      const owner = interfaceFor(rinfo.address);
+      this.emit(event, packet, { ...rinfo, interface: owner ? owner.name : null, unicast: false });
+      return;
+    }
+
+    // Senders outside every selected subnet (e.g. IPv4 link-local peers)
+    // are handled by the first socket of the family
+    const sockets = this.sockets.filter((socket) => socket.family === family);
+    const owner = interfaceFor(rinfo.address, sockets.map((socket) => socket.iface));
+    const responsible = owner ? owner === iface : iface === sockets[0].iface;
+    if (responsible) {
+      this.emit(event, packet, { ...rinfo, interface: iface.name, unicast: false });
+    }
+  }
+}
+
+/**
+ * Split a query whose known answers do not fit in one packet. The first
+ * packet carries the questions; the rest carry only known answers. All but
+ * the last have the TC bit set, telling responders more are coming.
+ * @private
+ */
+function splitKnownAnswers(query) {
+  const answers = query.answers || [];
+  let size = packet.encodingLength({ ...query, answers: [] });
+  if (answers.length === 0 ||
+      size + answers.reduce((total, answer) => total + packet.answer.encodingLength(answer), 0) <= MAX_PACKET_SIZE) {
+    return [query];
+  }
+
+  const packets = [{ ...query, answers: [] }];
+  for (const answer of answers) {
+    const length = packet.answer.encodingLength(answer);
+    let current = packets[packets.length - 1];
+    if (current.answers.length > 0 && size + length > MAX_PACKET_SIZE) {
+      current = { questions: [], answers: [] };
+      packets.push(current);
+      size = packet.encodingLength(current);
+    }
+    current.answers.push(answer);
+    size += length;
+  }
+
+  return packets.map((part, index) => (index < packets.length - 1
+    ? { ...part, flags: (part.flags || 0) | packet.TRUNCATED_RESPONSE }
+    : part));
+}
+
+/**
+ * Encode a query packet with the QU bit set on the class of every question
+ * flagged `unicastResponse`. Names are not compressed, so each question's
+ * class sits right at its end.
+ * @private
+ * @param {Object} query - The packet, with the flags removed from its questions
+ * @param {Object[]} questions - The questions with their flags
+ * @returns {Buffer}
+ */
+function withQuBits(query, questions) {
+  const message = packet.encode({ ...query, type: 'query' });
+  let offset = 12; // Header size
+
+  questions.forEach((question, index) => {
+    offset += packet.question.encodingLength(query.questions[index]);
+    if (question.unicastResponse) {
+      message.writeUInt16BE(message.readUInt16BE(offset - 2) | QU_BIT, offset - 2);
+    }
+  });
+
+  return message;
+}
+
+/**
+ * Turn QU questions back into IN questions flagged `unicastResponse`
+ * @private
+ */
+function decode(packet) {
+  if (!packet.questions || !packet.questions.some((question) => question.class === QU_CLASS)) {
+    return packet;
+  }
+
+  return {
+    ...packet,
+    questions: packet.questions.map((question) => (question.class === QU_CLASS
+      ? { ...question, class: 'IN', unicastResponse: true }
+      : question))
+  };
+}
+
+module.exports = Transport;
@@ -0,0 +1,293 @@
+const EventEmitter = require('events');
+const { sameData } = require('./records');
+
+// RFC 6762 §5.2: a record being watched is re-queried at 80%, 85%, 90% and
+// 95% of its TTL, each time plus up to 2% of the TTL at random
+const REFRESH_POINTS = [0.80, 0.85, 0.90, 0.95];
+const REFRESH_JITTER = 0.02;
+
+// Continuous queries, and queries while nothing is known, start one second
+// apart and back off to at most one query an hour
+const MIN_QUERY_INTERVAL = 1000;
+const MAX_QUERY_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Keeps one name and record type fresh in the resolver cache
+ *
+ * Re-queries before the cached record expires so that resolve() keeps
+ * answering from cache, and emits:
+ *   - `changed` when the record data changes, including when it is first
+ *     found (`previous` is then null)
+ *   - `lost` when the record expires without being refreshed, or its host
+ *     sends a goodbye packet
+ *
+ * With `continuous` it also keeps querying at exponentially growing
+ * intervals whether or not the record is known (RFC 6762 §5.2), so changes
+ * are noticed even between refreshes.
+ *
+ * Watchers are async iterable: `for await (const event of watcher)` yields
+ * `{ event: 'changed' | 'lost', ...payload }` until the watcher stops.
+ *
+ * Created through MDNSResolver#watch() and MDNSResolver#subscribe(); the
+ * resolver feeds it every mDNS response it receives.
+ */
+class RecordWatcher extends EventEmitter {
+  constructor(resolver, name, type, options = {}) {
+    super();
+
+    this.resolver = resolver;
+    this.name = name;
+    this.type = type;
+    this.continuous = options.continuous || false;
+    this.records = [];
+    this.timer = null;
+    this.expiryTimer = null;
+    this.continuousTimer = null;
+    this.queryInterval = MIN_QUERY_INTERVAL;
+    this.running = false;
+    this.current = null; // Data of the last changed event
+  }
+
+  /**
+   * Start watching: use cached records if there are any, otherwise query
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.queryInterval = MIN_QUERY_INTERVAL;
+
+    if (this.continuous) {
+      this._continuousQuery();
+    }
+
+    // Deferred so callers can attach listeners for a record already cached
+    process.nextTick(() => {
+      if (this.running) {
+        this._update();
+      }
+    });
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+    clearTimeout(this.timer);
+    clearTimeout(this.expiryTimer);
+    clearTimeout(this.continuousTimer);
+    this.timer = null;
+    this.expiryTimer = null;
+    this.continuousTimer = null;
+
+    this.resolver.watchers.delete(this);
+    this.emit('stopped');
+  }
+
+  /**
+   * Current record data, or an empty array while the record is unknown
+   * @returns {Array}
+   */
+  getRecords() {
+    return this.records.slice();
+  }
+
+  /**
+   * Iterate over changed/lost events until the watcher stops. Leaving a
+   * `for await` loop early stops the watcher.
+   * @returns {AsyncIterator<Object>}
+   */
+  [Symbol.asyncIterator]() {
+    const queue = [];
+    let waiting = null;
+
+    const push = (event) => (payload) => {
+      const value = { event, ...payload };
+      if (waiting) {
+        waiting({ value, done: false });
+        waiting = null;
+      } else {
+        queue.push(value);
+      }
+    };
+    const onChanged = push('changed');
+    const onLost = push('lost');
+    const onStopped = () => {
+      this.removeListener('changed', onChanged);
+      this.removeListener('lost', onLost);
+      if (waiting) {
+        waiting({ value: undefined, done: true });
+        waiting = null;
+      }
+    };
+
+    this.on('changed', onChanged);
+    this.on('lost', onLost);
+    this.once('stopped', onStopped);
+
+    return {
+      next: () => {
+        if (queue.length > 0) {
+          return Promise.resolve({ value: queue.shift(), done: false });
+        }
+        if (!this.running) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve) => {
+          waiting = resolve;
+        });
+      },
+      return: () => {
+        this.stop();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+
+  /**
+   * Re-read the cache after a response that mentions the watched record
+   * @private
+   */
+  _handleResponse(response) {
+    if (!this.running) {
+      return;
+    }
+
+    const matches = (response.answers || []).some((answer) =>
+      answer.type === this.type && answer.name.toLowerCase() === this.name
+    );
+    if (matches) {
+      this._update();
+    }
+  }
+
+  /**
+   * Compare the cached records with the last known ones, emit changed/lost
+   * and schedule the next query
+   * @private
+   */
+  _update() {
+    clearTimeout(this.timer);
+    clearTimeout(this.expiryTimer);
+    this.timer = null;
+    this.expiryTimer = null;
+
+    const cached = this.resolver._getCachedRecords(`${this.name}:${this.type}`);
+    const previous = this.records;
+    this.records = cached.map((record) => record.data);
+
+    if (cached.length === 0) {
+      if (previous.length > 0) {
+        this.emit('lost', this._event(this.current, { records: previous }));
+      }
+      this.current = null;
+      // Continuous queries are already looking for it
+      if (!this.continuous) {
+        this.queryInterval = MIN_QUERY_INTERVAL;
+        this._search();
+      }
+      return;
+    }
+
+    const changed = this.records.length !== previous.length ||
+      this.records.some((data) => !previous.some((old) => sameData(old, data)));
+    if (changed) {
+      // The record received last is the current one: a host that moves
+      // announces its new address with the cache-flush bit, and the old one
+      // stays cached for another second (RFC 6762 §10.2)
+      const newest = cached.reduce((a, b) => (b.received > a.received ? b : a));
+      const last = this.current;
+      this.current = newest.data;
+      this.emit('changed', this._event(newest.data, {
+        records: this.records.slice(),
+        previous: last
+      }));
+    }
+
+    // Refresh on the schedule of the record that expires last, and look
+    // again when any other record expires
+    const latest = cached.reduce((a, b) => (b.expires > a.expires ? b : a));
+    const earliest = cached.reduce((a, b) => (b.expires < a.expires ? b : a));
+    this._scheduleRefresh(latest, 0);
+    if (earliest.expires < latest.expires) {
+      this.expiryTimer = setTimeout(() => this._update(), Math.max(0, earliest.expires - Date.now()));
+    }
+  }
+
+  /**
+   * Schedule the refresh query for the next refresh point still ahead, or
+   * the expiry check once all four have passed
+   * @private
+   */
+  _scheduleRefresh(record, step) {
+    const lifetime = record.ttl * 1000;
+    const received = record.expires - lifetime;
+    const now = Date.now();
+
+    for (let i = step; i < REFRESH_POINTS.length; i++) {
+      const at = received + lifetime * (REFRESH_POINTS[i] + Math.random() * REFRESH_JITTER);
+      if (at > now) {
+        this.timer = setTimeout(() => {
+          // Scheduled first: an answer to the query reschedules from scratch
+          this._scheduleRefresh(record, i + 1);
+          this._query();
+        }, at - now);
+        return;
+      }
+    }
+
+    // No answer to any refresh query: check again once the record expires
+    this.timer = setTimeout(() => this._update(), Math.max(0, record.expires - now));
+  }
+
+  /**
+   * Query with backoff until the record is found
+   * @private
+   */
+  _search() {
+    this.timer = setTimeout(() => this._search(), this.queryInterval);
+    this.queryInterval = Math.min(this.queryInterval * 2, MAX_QUERY_INTERVAL);
+    this._query();
+  }
+
+  /**
+   * Query on the continuous schedule, independently of refreshes
+   * @private
+   */
+  _continuousQuery() {
+    this.continuousTimer = setTimeout(() => this._continuousQuery(), this.queryInterval);
+    this.queryInterval = Math.min(this.queryInterval * 2, MAX_QUERY_INTERVAL);
+    this._query();
+  }
+
+  /**
+   * @private
+   */
+  _query() {
+    if (!this.running || !this.resolver.mdns) {
+      return;
+    }
+
+    this.resolver._query([{ name: this.name, type: this.type }]);
+    this.resolver.emit('query', { name: this.name, type: this.type });
+  }
+
+  /**
+   * @private
+   */
+  _event(data, extra) {
+    return this.resolver._recordEvent(this.name, this.type, data, extra);
+  }
+}
+
+module.exports = RecordWatcher;
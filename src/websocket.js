@@ -0,0 +1,263 @@
+const { WebSocketServer } = require('ws');
+const { SUPPORTED_TYPES, resolveBody } = require('./records');
+const { httpStatus } = require('./errors');
+
+// How long a closing connection may take to finish the closing handshake
+const CLOSE_TIMEOUT = 1000;
+
+/**
+ * WebSocket API for a resolver
+ *
+ * Lets a client resolve names, follow `resolved` events and browse for
+ * services over one long-lived connection instead of polling. Messages are
+ * JSON objects with an `op` field. Requests carry an `id` chosen by the
+ * client, which every reply and event for that request echoes:
+ *
+ *   → { op: 'resolve', id, name, type }
+ *   ← { op: 'result', id, hostname, type, address | data }
+ *
+ *   → { op: 'subscribe', id, names }      ← { op: 'subscribed', id, names }
+ *   ← { op: 'resolved', name, type, ... } for every answer for those names
+ *   → { op: 'unsubscribe', id, names }    ← { op: 'unsubscribed', id, names }
+ *
+ *   → { op: 'browse', id, service }       ← { op: 'browsing', id, service }
+ *   ← { op: 'up' | 'update' | 'down', id, service: {...} }
+ *   → { op: 'unbrowse', id }              ← { op: 'unbrowsed', id }
+ *
+ * Failed requests are answered with { op: 'error', id, error, statusCode,
+ * code }. Connections are closed when the resolver stops.
+ *
+ * Served by HttpApi on `/ws`; see HttpApi#handleUpgrade().
+ */
+class WebSocketApi {
+  /**
+   * @param {MDNSResolver} resolver
+   * @param {Object} [options]
+   * @param {number} [options.maxPayload=65536] - Largest accepted message in bytes
+   */
+  constructor(resolver, options = {}) {
+    this.resolver = resolver;
+    this.options = {
+      maxPayload: options.maxPayload || 65536,
+      ...options
+    };
+    this.server = new WebSocketServer({ noServer: true, maxPayload: this.options.maxPayload });
+    this.server.on('connection', (ws) => this._handleConnection(ws));
+
+    // One resolver listener for every connection, added while there are any
+    this.connections = new Set();
+    this._onResolved = (event) => {
+      for (const connection of this.connections) {
+        if (connection.names.has(event.name)) {
+          send(connection.ws, { op: 'resolved', ...event });
+        }
+      }
+    };
+  }
+
+  /**
+   * Take over an HTTP upgrade request (an http.Server `upgrade` event)
+   * @param {http.IncomingMessage} req
+   * @param {stream.Duplex} socket
+   * @param {Buffer} head
+   */
+  handleUpgrade(req, socket, head) {
+    this.server.handleUpgrade(req, socket, head, (ws) => {
+      this.server.emit('connection', ws, req);
+    });
+  }
+
+  /**
+   * Close every connection with 1001 (Going Away). Clients that do not
+   * complete the closing handshake in time are disconnected.
+   */
+  close() {
+    for (const ws of this.server.clients) {
+      ws.close(1001, 'Server stopping');
+      setTimeout(() => ws.terminate(), CLOSE_TIMEOUT).unref();
+    }
+  }
+
+  /**
+   * Serve one connection. Its subscriptions and browsers end with it.
+   * @private
+   */
+  _handleConnection(ws) {
+    const connection = {
+      ws,
+      names: new Set(),
+      browsers: new Map()
+    };
+
+    if (this.connections.size === 0) {
+      this.resolver.on('resolved', this._onResolved);
+    }
+    this.connections.add(connection);
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        message = null;
+      }
+
+      if (!message || typeof message !== 'object') {
+        sendError(ws, undefined, 400, 'Invalid message: expected a JSON object');
+        return;
+      }
+
+      this._handleMessage(connection, message);
+    });
+
+    // Protocol violations (unmasked or oversized frames, invalid UTF-8)
+    // end this connection only; ws closes it with the matching code
+    ws.on('error', (err) => {
+      this.resolver.emit('client-error', err);
+      ws.terminate();
+    });
+
+    ws.on('close', () => {
+      this.connections.delete(connection);
+      if (this.connections.size === 0) {
+        this.resolver.removeListener('resolved', this._onResolved);
+      }
+      for (const browser of connection.browsers.values()) {
+        browser.stop();
+      }
+      connection.browsers.clear();
+    });
+  }
+
+  /**
+   * Handle one request
+   * @private
+   */
+  _handleMessage(connection, message) {
+    const { ws } = connection;
+    const { id } = message;
+
+    try {
+      switch (message.op) {
+        case 'resolve':
+          this._resolve(ws, message);
+          break;
+
+        case 'subscribe':
+        case 'unsubscribe': {
+          const names = this._names(message);
+          for (const name of names) {
+            if (message.op === 'subscribe') {
+              connection.names.add(name);
+            } else {
+              connection.names.delete(name);
+            }
+          }
+          send(ws, { op: `${message.op}d`, id, names });
+          break;
+        }
+
+        case 'browse': {
+          if (id === undefined || connection.browsers.has(id)) {
+            sendError(ws, id, 400, 'browse needs an id not already in use');
+            return;
+          }
+          if (typeof message.service !== 'string' || !message.service.startsWith('_')) {
+            sendError(ws, id, 400, `Invalid service type: ${message.service}`);
+            return;
+          }
+          const browser = this.resolver.browse(message.service);
+          connection.browsers.set(id, browser);
+          for (const event of ['up', 'update', 'down']) {
+            browser.on(event, (service) => send(ws, { op: event, id, service }));
+          }
+          send(ws, { op: 'browsing', id, service: browser.type });
+          break;
+        }
+
+        case 'unbrowse': {
+          const browser = connection.browsers.get(id);
+          if (!browser) {
+            sendError(ws, id, 404, `No browse request with id ${id}`);
+            return;
+          }
+          browser.stop();
+          connection.browsers.delete(id);
+          send(ws, { op: 'unbrowsed', id });
+          break;
+        }
+
+        default:
+          sendError(ws, id, 400, `Unknown op: ${message.op}`);
+      }
+    } catch (err) {
+      sendError(ws, id, err.statusCode || httpStatus(err), err.message, err.code);
+    }
+  }
+
+  /**
+   * Resolve a name and send the result, shaped like a /resolve response
+   * @private
+   */
+  _resolve(ws, message) {
+    const { id, name } = message;
+    const type = String(message.type || 'A').toUpperCase();
+
+    if (!name) {
+      sendError(ws, id, 400, 'Missing required field: name');
+      return;
+    }
+
+    if (!SUPPORTED_TYPES.includes(type)) {
+      sendError(ws, id, 400, `Unsupported record type: ${type}. Supported types: ${SUPPORTED_TYPES.join(', ')}`);
+      return;
+    }
+
+    this.resolver.resolve(name, type)
+      .then((result) => {
+        send(ws, { op: 'result', id, ...resolveBody(name, type, result) });
+      })
+      .catch((err) => {
+        sendError(ws, id, httpStatus(err), err.message, err.code);
+      });
+  }
+
+  /**
+   * The normalized names of a subscribe/unsubscribe request
+   * @private
+   * @throws {InvalidNameError}
+   */
+  _names(message) {
+    const names = [].concat(message.names || message.name || []);
+    if (names.length === 0) {
+      const err = new Error('Missing required field: names');
+      err.statusCode = 400;
+      throw err;
+    }
+    return names.map((name) => this.resolver._normalizeName(name));
+  }
+}
+
+/**
+ * Send a message if the connection is still open
+ * @private
+ */
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Send an error reply
+ * @private
+ */
+function sendError(ws, id, statusCode, message, code) {
+  const reply = { op: 'error', id, error: message, statusCode };
+  if (code) {
+    reply.code = code;
+  }
+  send(ws, reply);
+}
+
+module.exports = WebSocketApi;
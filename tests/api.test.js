@@ -0,0 +1,592 @@
+const EventEmitter = require('events');
+const http = require('http');
+const packet = require('dns-packet');
+const HttpApi = require('../src/api');
+const MDNSResolver = require('../src/resolver');
+const MDNSServer = require('../src/server');
+
+/**
+ * Minimal stand-ins for http.IncomingMessage / http.ServerResponse
+ */
+function request(method, path, headers = {}) {
+  return { method, url: path, headers: { host: 'localhost:5380', ...headers } };
+}
+
+function response() {
+  let res;
+  const done = new Promise((resolve) => {
+    res = {
+      headers: {},
+      setHeader: (name, value) => { res.headers[name] = value; },
+      writeHead: (statusCode, headers) => {
+        res.statusCode = statusCode;
+        Object.assign(res.headers, headers);
+      },
+      end: (body) => {
+        res.body = body ? JSON.parse(body) : undefined;
+        resolve(res);
+      }
+    };
+  });
+  return { res, done };
+}
+
+describe('HttpApi', () => {
+  let resolver;
+  let api;
+
+  function send(method, path, headers) {
+    const { res, done } = response();
+    api.handle(request(method, path, headers), res);
+    return done;
+  }
+
+  beforeEach(() => {
+    resolver = new MDNSResolver({ timeout: 100 });
+    resolver.start();
+    api = new HttpApi(resolver);
+  });
+
+  afterEach(async () => {
+    await resolver.stop();
+  });
+
+  describe('routes', () => {
+    test('should serve the built-in endpoints', async () => {
+      resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+
+      const res = await send('GET', '/resolve?name=peer');
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ hostname: 'peer.local', type: 'A', address: '192.168.1.100' });
+    });
+
+    test('should serve added routes', async () => {
+      api.get('/peers', (req, res, url) => {
+        api.sendJSON(res, 200, { filter: url.searchParams.get('q') });
+      });
+
+      const res = await send('GET', '/peers?q=abc');
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ filter: 'abc' });
+    });
+
+    test('should replace a route with the same method and path', async () => {
+      api.get('/health', (req, res) => api.sendJSON(res, 200, { custom: true }));
+
+      const res = await send('GET', '/health');
+      expect(res.body).toEqual({ custom: true });
+    });
+
+    test('should list routes with a description on /', async () => {
+      api.get('/peers', () => {}, { description: 'Known peers', examples: ['/peers'] });
+
+      const res = await send('GET', '/');
+      expect(res.body.endpoints['/peers']).toBe('Known peers');
+      expect(res.body.endpoints['/resolve']).toBeTruthy();
+      expect(res.body.examples).toContain('/peers');
+    });
+
+    test('should answer errors thrown by handlers', async () => {
+      api.get('/broken', () => {
+        throw Object.assign(new Error('Slow down'), { statusCode: 429, code: 'ERATELIMIT' });
+      });
+      api.get('/rejected', async () => {
+        throw new Error('Boom');
+      });
+
+      let res = await send('GET', '/broken');
+      expect(res.statusCode).toBe(429);
+      expect(res.body).toEqual({ error: 'Slow down', statusCode: 429, code: 'ERATELIMIT' });
+
+      res = await send('GET', '/rejected');
+      expect(res.statusCode).toBe(500);
+    });
+
+    test('should answer 405 with the allowed methods', async () => {
+      api.post('/peers', () => {});
+
+      const res = await send('GET', '/peers');
+      expect(res.statusCode).toBe(405);
+      expect(res.headers.Allow).toBe('POST');
+    });
+
+    test('should list every registered method for CORS', async () => {
+      api.post('/peers', () => {});
+
+      const res = await send('OPTIONS', '/peers');
+      expect(res.statusCode).toBe(204);
+      expect(res.headers['Access-Control-Allow-Methods']).toBe('GET, POST, OPTIONS');
+    });
+
+    test('should leave out CORS headers when disabled', async () => {
+      api = new HttpApi(resolver, { cors: false });
+
+      const res = await send('GET', '/health');
+      expect(res.headers['Access-Control-Allow-Origin']).toBeUndefined();
+    });
+  });
+
+  describe('batch resolution', () => {
+    const cache = () => {
+      resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+    };
+
+    function post(path, body) {
+      const req = new EventEmitter();
+      Object.assign(req, request('POST', path, { 'content-type': 'application/json' }));
+      const { res, done } = response();
+      api.handle(req, res);
+      if (body !== undefined) {
+        req.emit('data', Buffer.from(body));
+      }
+      req.emit('end');
+      return done;
+    }
+
+    test('should resolve several names given as query parameters', async () => {
+      cache();
+
+      const res = await send('GET', '/resolve?name=peer&name=bad..name');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.type).toBe('A');
+      expect(res.body.results).toEqual([
+        { hostname: 'peer.local', type: 'A', address: '192.168.1.100' },
+        expect.objectContaining({ hostname: 'bad..name.local', statusCode: 400, code: 'EINVALIDNAME' })
+      ]);
+    });
+
+    test('should resolve a JSON array of names posted to /resolve', async () => {
+      cache();
+
+      const res = await post('/resolve', JSON.stringify(['peer.local', 'gone.local']));
+      expect(res.statusCode).toBe(200);
+      expect(res.body.results[0]).toEqual({ hostname: 'peer.local', type: 'A', address: '192.168.1.100' });
+      expect(res.body.results[1]).toEqual({
+        hostname: 'gone.local',
+        type: 'A',
+        error: 'Timeout resolving gone.local',
+        statusCode: 504,
+        code: 'ETIMEOUT'
+      });
+    });
+
+    test('should use a body parsed by the host app', async () => {
+      cache();
+      const req = Object.assign(new EventEmitter(), request('POST', '/resolve'), { body: ['peer'] });
+      const { res, done } = response();
+
+      api.handle(req, res);
+
+      expect((await done).body.results).toHaveLength(1);
+    });
+
+    test('should reject bodies that are not an array of names', async () => {
+      for (const body of ['{"name":"peer"}', '[]', '[1]', 'not json']) {
+        const res = await post('/resolve', body);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toBe('Request body must be a JSON array of names');
+      }
+    });
+
+    test('should reject too many names or too large a body', async () => {
+      api = new HttpApi(resolver, { maxBatchSize: 2, maxBodySize: 64 });
+
+      let res = await post('/resolve', JSON.stringify(['a', 'b', 'c']));
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Too many names: 3. At most 2 per request');
+
+      res = await post('/resolve', JSON.stringify(['x'.repeat(70)]));
+      expect(res.statusCode).toBe(413);
+    });
+
+    test('should reject unsupported record types', async () => {
+      const res = await post('/resolve?type=MX', '["peer"]');
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('DNS-over-HTTPS', () => {
+    let server;
+    let base;
+
+    const message = (name, type) => packet.encode({
+      type: 'query',
+      id: 0,
+      flags: packet.RECURSION_DESIRED,
+      questions: [{ name, type, class: 'IN' }]
+    });
+
+    beforeEach(async () => {
+      resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+      server = http.createServer(api.handler);
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    test('should answer a base64url query sent with GET', async () => {
+      const dns = message('peer.local', 'A').toString('base64url');
+      const res = await fetch(`${base}/dns-query?dns=${dns}`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('content-type')).toBe('application/dns-message');
+      expect(Number(res.headers.get('cache-control').replace('max-age=', ''))).toBeGreaterThanOrEqual(119);
+
+      const response = packet.decode(Buffer.from(await res.arrayBuffer()));
+      expect(response.rcode).toBe('NOERROR');
+      expect(response.answers).toEqual([
+        expect.objectContaining({ name: 'peer.local', type: 'A', data: '192.168.1.100' })
+      ]);
+    });
+
+    test('should answer a query posted as application/dns-message', async () => {
+      const res = await fetch(`${base}/dns-query`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/dns-message' },
+        body: message('example.com', 'A')
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.headers.get('cache-control')).toBeNull();
+      expect(packet.decode(Buffer.from(await res.arrayBuffer())).rcode).toBe('REFUSED');
+    });
+
+    test('should reject other content types', async () => {
+      const res = await fetch(`${base}/dns-query`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{}'
+      });
+      expect(res.status).toBe(415);
+    });
+
+    test('should reject missing or malformed messages', async () => {
+      let res = await fetch(`${base}/dns-query`);
+      expect(res.status).toBe(400);
+      expect((await res.json()).error).toBe('Missing required parameter: dns');
+
+      res = await fetch(`${base}/dns-query?dns=AAAA`);
+      expect(res.status).toBe(400);
+      expect((await res.json()).error).toBe('Invalid DNS message');
+    });
+  });
+
+  describe('JSON DNS API', () => {
+    beforeEach(() => {
+      resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'AAAA', data: 'fe80::1', ttl: 120 }]
+      });
+    });
+
+    test('should answer on /resolve.json', async () => {
+      const res = await send('GET', '/resolve.json?name=peer.local&type=AAAA');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['Content-Type']).toBe('application/dns-json');
+      expect(res.headers['Cache-Control']).toMatch(/^max-age=1(19|20)$/);
+      expect(res.body).toMatchObject({
+        Status: 0,
+        Question: [{ name: 'peer.local.', type: 28 }],
+        Answer: [{ name: 'peer.local.', type: 28, data: 'fe80::1' }]
+      });
+    });
+
+    test('should accept numeric types and trailing dots', async () => {
+      const res = await send('GET', '/resolve.json?name=peer.local.&type=28');
+      expect(res.body.Answer[0].data).toBe('fe80::1');
+    });
+
+    test('should answer on /dns-query given a name, as Cloudflare does', async () => {
+      const res = await send('GET', '/dns-query?name=example.com', { accept: 'application/dns-json' });
+      expect(res.statusCode).toBe(200);
+      expect(res.body.Status).toBe(5);
+      expect(res.headers['Cache-Control']).toBeUndefined();
+    });
+
+    test('should reject missing names and unknown types', async () => {
+      let res = await send('GET', '/resolve.json');
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Missing required parameter: name');
+
+      res = await send('GET', '/resolve.json?name=peer.local&type=BOGUS');
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Unsupported record type: BOGUS');
+
+      for (const type of ['0', '65536', '99999', 'UNKNOWN_99999']) {
+        res = await send('GET', `/resolve.json?name=peer.local&type=${type}`);
+        expect(res.statusCode).toBe(400);
+      }
+    });
+
+    test('should answer known types it does not handle with no records', async () => {
+      const res = await send('GET', '/resolve.json?name=peer.local&type=MX');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.Status).toBe(0);
+      expect(res.body.Question).toEqual([{ name: 'peer.local.', type: 15 }]);
+      expect(res.body).not.toHaveProperty('Answer');
+    });
+  });
+
+  describe('/events', () => {
+    function events(path) {
+      const req = Object.assign(new EventEmitter(), request('GET', path));
+      const res = {
+        chunks: [],
+        setHeader: () => {},
+        writeHead: (statusCode, headers) => {
+          res.statusCode = statusCode;
+          res.headers = headers;
+        },
+        write: (chunk) => res.chunks.push(chunk),
+        end: (body) => {
+          res.ended = true;
+          res.body = body ? JSON.parse(body) : undefined;
+        }
+      };
+      api.handle(req, res);
+      // Comments (the opening one and heartbeats) are not events
+      res.events = () => res.chunks.filter((chunk) => !chunk.startsWith(':')).map((chunk) => {
+        const [, event, data] = /^event: (.*)\ndata: (.*)\n\n$/.exec(chunk);
+        return { event, data: JSON.parse(data) };
+      });
+      return { req, res };
+    }
+
+    const answer = (name, type = 'A', data = '192.168.1.100') => ({ name, type, data, ttl: 120 });
+
+    test('should stream every event type by default', async () => {
+      const { res } = events('/events');
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['Content-Type']).toBe('text/event-stream');
+
+      const lookup = resolver.resolve('peer.local');
+      resolver._handleResponse({ answers: [answer('peer.local')] });
+      await lookup;
+      await resolver.resolve('peer.local');
+      resolver.clearCache();
+
+      expect(res.events().map(({ event }) => event)).toEqual(['query', 'resolved', 'cache-hit', 'cache-cleared']);
+      expect(res.events()[1].data).toMatchObject({ name: 'peer.local', type: 'A', address: '192.168.1.100' });
+      expect(res.events()[3].data).toEqual({});
+    });
+
+    test('should filter by event, name pattern and type', () => {
+      const { res } = events('/events?events=resolved,cache-cleared&name=printer*&name=peer&type=A,aaaa');
+
+      resolver._handleResponse({
+        answers: [
+          answer('peer.local'),
+          answer('peer.local', 'TXT', [Buffer.from('a=b')]),
+          answer('printer-2.local', 'AAAA', 'fe80::2'),
+          answer('other.local')
+        ]
+      });
+      resolver.clearCache();
+
+      expect(res.events().map(({ event, data }) => `${event} ${data.name || ''} ${data.type || ''}`.trim())).toEqual([
+        'resolved peer.local A',
+        'resolved printer-2.local AAAA',
+        'cache-cleared'
+      ]);
+    });
+
+    test('should reject unknown events, types and invalid names', () => {
+      let { res } = events('/events?events=resolved,bogus');
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Unknown event: bogus. Events: query, resolved, cache-hit, cache-cleared');
+
+      ({ res } = events('/events?type=MX'));
+      expect(res.statusCode).toBe(400);
+
+      ({ res } = events('/events?name=a..b'));
+      expect(res.statusCode).toBe(400);
+      expect(res.body.code).toBe('EINVALIDNAME');
+    });
+
+    test('should stop listening when the client disconnects', () => {
+      const before = resolver.listenerCount('resolved');
+      const { req, res } = events('/events');
+      expect(resolver.listenerCount('resolved')).toBe(before + 1);
+
+      req.emit('close');
+
+      expect(resolver.listenerCount('resolved')).toBe(before);
+      expect(res.ended).toBe(true);
+    });
+
+    test('should share resolver listeners between clients', () => {
+      const warnings = jest.fn();
+      process.on('warning', warnings);
+      const before = resolver.listenerCount('resolved');
+
+      const clients = [];
+      for (let i = 0; i < 12; i++) {
+        clients.push(events(i % 2 ? '/events?events=resolved' : '/events?name=peer'));
+      }
+      expect(resolver.listenerCount('resolved')).toBe(before + 1);
+
+      resolver._handleResponse({ answers: [answer('peer.local'), answer('other.local')] });
+      expect(clients.map(({ res }) => res.events().length)).toEqual(
+        Array.from({ length: 12 }, (_, i) => (i % 2 ? 2 : 1))
+      );
+
+      for (const { req } of clients) {
+        req.emit('close');
+      }
+      expect(resolver.listenerCount('resolved')).toBe(before);
+      expect(resolver.listenerCount('stopped')).toBe(0);
+      process.removeListener('warning', warnings);
+      expect(warnings).not.toHaveBeenCalled();
+    });
+
+    test('should not hold up stop() over a real socket', async () => {
+      const server = new MDNSServer({ host: '127.0.0.1', timeout: 100, probe: false });
+      await server.start();
+
+      const res = await new Promise((resolve, reject) => {
+        const req = http.get(`http://127.0.0.1:${server.server.address().port}/events`, resolve);
+        req.on('error', reject);
+        req.setTimeout(1000, () => req.destroy(new Error('No headers')));
+      });
+      expect(res.statusCode).toBe(200);
+      const ended = new Promise((resolve) => res.on('end', resolve).resume());
+
+      await server.stop();
+      await ended;
+      expect(server.api.eventClients.size).toBe(0);
+    });
+
+    test('should end the stream when the resolver stops', async () => {
+      const { res } = events('/events');
+      await resolver.stop();
+      expect(res.ended).toBe(true);
+      resolver.start();
+    });
+
+    test('should answer 503 when the resolver is not running', async () => {
+      await resolver.stop();
+      const { res } = events('/events');
+      expect(res.statusCode).toBe(503);
+      resolver.start();
+    });
+  });
+
+  describe('middleware', () => {
+    test('should run in order before the route', async () => {
+      const calls = [];
+      api.use((req, res, next) => { calls.push('first'); next(); });
+      api.use(async (req, res, next) => { calls.push('second'); next(); });
+
+      const res = await send('GET', '/health');
+      expect(res.statusCode).toBe(200);
+      expect(calls).toEqual(['first', 'second']);
+    });
+
+    test('should be able to answer the request itself', async () => {
+      api.use((req, res, next) => {
+        if (req.headers.authorization !== 'Bearer secret') {
+          api.sendError(res, 401, 'Unauthorized');
+          return;
+        }
+        next();
+      });
+
+      let res = await send('GET', '/health');
+      expect(res.statusCode).toBe(401);
+
+      res = await send('GET', '/health', { authorization: 'Bearer secret' });
+      expect(res.statusCode).toBe(200);
+    });
+
+    test('should answer errors passed to next()', async () => {
+      api.use((req, res, next) => next(Object.assign(new Error('Forbidden'), { statusCode: 403 })));
+
+      const res = await send('GET', '/health');
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error).toBe('Forbidden');
+    });
+
+    test('should not run for preflights', async () => {
+      const middleware = jest.fn();
+      api.use(middleware);
+
+      const res = await send('OPTIONS', '/resolve');
+      expect(res.statusCode).toBe(204);
+      expect(middleware).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('mounting', () => {
+    test('should pass unknown paths to next', () => {
+      const middleware = jest.fn();
+      const next = jest.fn();
+      api.use(middleware);
+
+      api.handle(request('GET', '/elsewhere'), response().res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(middleware).not.toHaveBeenCalled();
+    });
+
+    test('should answer 404 for unknown paths without next', async () => {
+      const res = await send('GET', '/elsewhere');
+      expect(res.statusCode).toBe(404);
+    });
+
+    test('should serve routes under a prefix', async () => {
+      api = new HttpApi(resolver, { prefix: '/mdns/' });
+      const next = jest.fn();
+
+      let res = await send('GET', '/mdns/health');
+      expect(res.statusCode).toBe(200);
+      res = await send('GET', '/mdns');
+      expect(res.body.name).toBe('PigeonNS mDNS Resolution API');
+
+      api.handle(request('GET', '/health'), response().res, next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should work as an http.Server request handler', async () => {
+      const server = http.createServer(api.handler);
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const { port } = server.address();
+        const res = await fetch(`http://127.0.0.1:${port}/health`);
+        expect(res.status).toBe(200);
+        expect((await res.json()).status).toBe('ok');
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+
+  describe('shared instance', () => {
+    test('should be used by the resolver and MDNSServer', () => {
+      const server = new MDNSServer();
+      expect(server.api).toBe(server.resolver.api);
+      expect(server.api).toBeInstanceOf(HttpApi);
+    });
+
+    test('should report MDNSServer errors after start as server-error', async () => {
+      const server = new MDNSServer({ port: 0, host: '127.0.0.1', probe: false });
+      await server.start();
+
+      const errors = [];
+      server.on('server-error', (err) => errors.push(err));
+      server.server.emit('error', new Error('socket failure'));
+
+      expect(errors.map((err) => err.message)).toEqual(['socket failure']);
+      await server.stop();
+    });
+  });
+});
@@ -0,0 +1,229 @@
+const MDNSResolver = require('../src/resolver');
+const { parseTxt } = require('../src/records');
+
+describe('ServiceBrowser', () => {
+  let resolver;
+
+  const ptr = (ttl = 120) => ({
+    name: '_http._tcp.local',
+    type: 'PTR',
+    data: 'My Printer._http._tcp.local',
+    ttl
+  });
+  const srv = (port = 8080, ttl = 120) => ({
+    name: 'My Printer._http._tcp.local',
+    type: 'SRV',
+    data: { priority: 0, weight: 0, port, target: 'printer.local' },
+    ttl
+  });
+  const txt = (entries, ttl = 120) => ({
+    name: 'My Printer._http._tcp.local',
+    type: 'TXT',
+    data: entries.map((entry) => Buffer.from(entry)),
+    ttl
+  });
+  const a = (address, ttl = 120) => ({ name: 'printer.local', type: 'A', data: address, ttl });
+
+  beforeEach(() => {
+    resolver = new MDNSResolver({ timeout: 1000, ttl: 60, probe: false });
+    resolver.start();
+  });
+
+  afterEach(async () => {
+    if (resolver && resolver.mdns) {
+      await resolver.stop();
+    }
+  });
+
+  describe('browse()', () => {
+    test('should throw error if resolver not started', () => {
+      const stopped = new MDNSResolver();
+      expect(() => stopped.browse('_http._tcp')).toThrow('Resolver is not running');
+    });
+
+    test('should reject invalid service types', () => {
+      expect(() => resolver.browse('http')).toThrow('Invalid service type: http');
+    });
+
+    test('should send a PTR query for the service type', () => {
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      const browser = resolver.browse('_HTTP._tcp');
+
+      expect(browser.type).toBe('_http._tcp.local');
+      expect(querySpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          questions: [{ name: '_http._tcp.local', type: 'PTR' }]
+        })
+      );
+    });
+
+    test('should stop browsers when the resolver stops', async () => {
+      const browser = resolver.browse('_http._tcp');
+      await resolver.stop();
+
+      expect(browser.running).toBe(false);
+      expect(resolver.browsers.size).toBe(0);
+    });
+  });
+
+  describe('service discovery', () => {
+    let browser;
+
+    beforeEach(() => {
+      browser = resolver.browse('_http._tcp');
+    });
+
+    test('should emit up for a complete PTR/SRV/TXT/A chain', (done) => {
+      browser.on('up', (service) => {
+        expect(service).toEqual({
+          name: 'My Printer',
+          fqdn: 'My Printer._http._tcp.local',
+          type: '_http._tcp.local',
+          host: 'printer.local',
+          port: 8080,
+          txt: { path: '/queue', secure: true },
+          addresses: ['192.168.1.40']
+        });
+        done();
+      });
+
+      resolver._handleResponse({
+        answers: [ptr()],
+        additionals: [srv(), txt(['path=/queue', 'secure']), a('192.168.1.40')]
+      });
+    });
+
+    test('should query for SRV and TXT when only the PTR is known', () => {
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+
+      resolver._handleResponse({ answers: [ptr()] });
+
+      expect(querySpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          questions: [
+            { name: 'My Printer._http._tcp.local', type: 'SRV' },
+            { name: 'My Printer._http._tcp.local', type: 'TXT' }
+          ]
+        })
+      );
+      expect(browser.getServices()).toEqual([]);
+    });
+
+    test('should use addresses the resolver already has cached', () => {
+      resolver._handleResponse({ answers: [a('192.168.1.41')] });
+      resolver._handleResponse({ answers: [ptr()], additionals: [srv()] });
+
+      expect(browser.getServices()[0].addresses).toEqual(['192.168.1.41']);
+    });
+
+    test('should emit update when TXT data changes', () => {
+      const update = jest.fn();
+      browser.on('update', update);
+
+      resolver._handleResponse({ answers: [ptr()], additionals: [srv(), txt(['v=1']), a('192.168.1.40')] });
+      resolver._handleResponse({ answers: [txt(['v=2'])] });
+
+      expect(update).toHaveBeenCalledTimes(1);
+      expect(update.mock.calls[0][0].txt).toEqual({ v: '2' });
+    });
+
+    test('should emit update when an address arrives later', () => {
+      const update = jest.fn();
+      browser.on('update', update);
+
+      resolver._handleResponse({ answers: [ptr()], additionals: [srv()] });
+      resolver._handleResponse({ answers: [a('192.168.1.40')] });
+
+      expect(update).toHaveBeenCalledTimes(1);
+      expect(update.mock.calls[0][0].addresses).toEqual(['192.168.1.40']);
+    });
+
+    test('should drop the old host addresses when the SRV target changes', () => {
+      const update = jest.fn();
+      browser.on('update', update);
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+
+      resolver._handleResponse({ answers: [ptr()], additionals: [srv(), a('192.168.1.40')] });
+      resolver._handleResponse({
+        answers: [{ ...srv(), data: { priority: 0, weight: 0, port: 8080, target: 'printer2.local' } }]
+      });
+
+      expect(update).toHaveBeenCalledTimes(1);
+      expect(update.mock.calls[0][0]).toEqual(expect.objectContaining({ host: 'printer2.local', addresses: [] }));
+      expect(querySpy).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          questions: [
+            { name: 'printer2.local', type: 'A' },
+            { name: 'printer2.local', type: 'AAAA' }
+          ]
+        })
+      );
+    });
+
+    test('should not emit update for a plain refresh', () => {
+      const update = jest.fn();
+      browser.on('update', update);
+
+      resolver._handleResponse({ answers: [ptr()], additionals: [srv(), a('192.168.1.40')] });
+      resolver._handleResponse({ answers: [ptr()], additionals: [srv(), a('192.168.1.40')] });
+
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    test('should emit down on a PTR goodbye packet', () => {
+      const down = jest.fn();
+      browser.on('down', down);
+
+      resolver._handleResponse({ answers: [ptr()], additionals: [srv(), a('192.168.1.40')] });
+      resolver._handleResponse({ answers: [ptr(0)] });
+
+      expect(down).toHaveBeenCalledWith(expect.objectContaining({ name: 'My Printer' }));
+      expect(browser.getServices()).toEqual([]);
+    });
+
+    test('should emit down on an SRV goodbye packet', () => {
+      const down = jest.fn();
+      browser.on('down', down);
+
+      resolver._handleResponse({ answers: [ptr()], additionals: [srv()] });
+      resolver._handleResponse({ answers: [srv(8080, 0)] });
+
+      expect(down).toHaveBeenCalledTimes(1);
+    });
+
+    test('should emit down when the PTR record expires', (done) => {
+      browser.on('down', (service) => {
+        expect(service.name).toBe('My Printer');
+        done();
+      });
+
+      resolver._handleResponse({ answers: [ptr(0.05)], additionals: [srv()] });
+    });
+
+    test('should ignore other service types', () => {
+      resolver._handleResponse({
+        answers: [{ name: '_ipp._tcp.local', type: 'PTR', data: 'Other._ipp._tcp.local', ttl: 120 }]
+      });
+
+      expect(browser.services.size).toBe(0);
+    });
+  });
+});
+
+describe('parseTxt()', () => {
+  test('should parse key/value pairs and boolean attributes', () => {
+    expect(parseTxt([Buffer.from('a=1'), Buffer.from('flag'), Buffer.from('empty=')])).toEqual({
+      a: '1',
+      flag: true,
+      empty: ''
+    });
+  });
+
+  test('should keep only the first occurrence of a key', () => {
+    expect(parseTxt([Buffer.from('Key=first'), Buffer.from('key=second')])).toEqual({ key: 'first' });
+  });
+
+  test('should handle missing data', () => {
+    expect(parseTxt(undefined)).toEqual({});
+  });
+});
@@ -0,0 +1,139 @@
+const RecordCache = require('../src/cache');
+
+describe('RecordCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new RecordCache({ maxSize: 2, sweepInterval: 20 });
+  });
+
+  afterEach(() => {
+    cache.stop();
+  });
+
+  describe('LRU eviction', () => {
+    test('should evict the least recently used entry', () => {
+      cache.add('a.local:A', '192.168.1.1', 120);
+      cache.add('b.local:A', '192.168.1.2', 120);
+
+      // Reading a.local makes b.local the least recently used
+      cache.records('a.local:A');
+      cache.add('c.local:A', '192.168.1.3', 120);
+
+      expect(Array.from(cache.keys())).toEqual(['a.local:A', 'c.local:A']);
+    });
+
+    test('should not count peek() as a use', () => {
+      cache.add('a.local:A', '192.168.1.1', 120);
+      cache.add('b.local:A', '192.168.1.2', 120);
+
+      cache.peek('a.local:A');
+      cache.add('c.local:A', '192.168.1.3', 120);
+
+      expect(cache.has('a.local:A')).toBe(false);
+    });
+
+    test('should emit evicted with the dropped records', () => {
+      const evicted = jest.fn();
+      cache.on('evicted', evicted);
+
+      cache.add('a.local:A', '192.168.1.1', 120);
+      cache.add('b.local:A', '192.168.1.2', 120);
+      cache.add('c.local:A', '192.168.1.3', 120);
+
+      expect(evicted).toHaveBeenCalledWith({
+        name: 'a.local',
+        type: 'A',
+        records: [expect.objectContaining({ data: '192.168.1.1', ttl: 120 })]
+      });
+    });
+  });
+
+  describe('sweep()', () => {
+    test('should remove expired records and emit expired', () => {
+      const expired = jest.fn();
+      cache.on('expired', expired);
+
+      cache.add('a.local:A', '192.168.1.1', 120);
+      cache.add('a.local:A', '192.168.1.2', 120);
+      cache.peek('a.local:A').records[1].expires = Date.now() - 1;
+      cache.sweep();
+
+      expect(expired).toHaveBeenCalledWith({ name: 'a.local', type: 'A', data: '192.168.1.2' });
+      expect(cache.peek('a.local:A').records).toHaveLength(1);
+    });
+
+    test('should drop entries with no records left', () => {
+      cache.add('a.local:A', '192.168.1.1', 0.01);
+
+      return new Promise((resolve) => setTimeout(resolve, 20)).then(() => {
+        cache.sweep();
+        expect(cache.size).toBe(0);
+      });
+    });
+
+    test('should sweep periodically once started', (done) => {
+      cache.on('expired', ({ name }) => {
+        expect(name).toBe('a.local');
+        expect(cache.size).toBe(0);
+        done();
+      });
+
+      cache.add('a.local:A', '192.168.1.1', 0.01);
+      cache.start();
+    });
+
+    test('should keep unexpired negative entries', () => {
+      cache.setNegative('a.local:A', 30);
+      cache.sweep();
+
+      expect(cache.isNegative('a.local:A')).toBe(true);
+    });
+  });
+
+  describe('cache-flush bit', () => {
+    test('should add to the RRset without the flush bit', () => {
+      cache.add('a.local:A', '192.168.1.1', 120);
+      cache.peek('a.local:A').records[0].received -= 2000;
+      cache.add('a.local:A', '192.168.1.2', 120);
+
+      expect(cache.records('a.local:A').map((record) => record.expires > Date.now() + 60000))
+        .toEqual([true, true]);
+    });
+
+    test('should expire older records one second after a flush', () => {
+      cache.add('a.local:A', '192.168.1.1', 120);
+      cache.peek('a.local:A').records[0].received -= 2000;
+      cache.add('a.local:A', '192.168.1.2', 120, { flush: true });
+
+      const [old, fresh] = cache.peek('a.local:A').records;
+      expect(old.expires).toBeLessThanOrEqual(Date.now() + 1000);
+      expect(fresh.expires).toBeGreaterThan(Date.now() + 60000);
+    });
+
+    test('should keep records received within the last second', () => {
+      // Several records of one RRset arrive in the same packet, each flagged
+      cache.add('a.local:A', '192.168.1.1', 120, { flush: true });
+      cache.add('a.local:A', '192.168.1.2', 120, { flush: true });
+
+      expect(cache.records('a.local:A').every((record) => record.expires > Date.now() + 60000)).toBe(true);
+    });
+  });
+
+  describe('negative entries', () => {
+    test('should be replaced by an answer', () => {
+      cache.setNegative('a.local:A', 30);
+      cache.add('a.local:A', '192.168.1.1', 120);
+
+      expect(cache.isNegative('a.local:A')).toBe(false);
+      expect(cache.records('a.local:A')).toHaveLength(1);
+    });
+
+    test('should not replace cached records', () => {
+      cache.add('a.local:A', '192.168.1.1', 120);
+      cache.setNegative('a.local:A', 30);
+
+      expect(cache.isNegative('a.local:A')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const dgram = require('dgram');
+const net = require('net');
+const packet = require('dns-packet');
+const DNSServer = require('../src/dns-server');
+
+describe('DNSServer', () => {
+  let server;
+  let port;
+
+  const message = (name, type, extra = {}) => packet.encode({
+    type: 'query',
+    id: 7,
+    flags: packet.RECURSION_DESIRED,
+    questions: [{ name, type, class: 'IN' }],
+    ...extra
+  });
+
+  function udpQuery(buffer, target = port) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      const timer = setTimeout(() => {
+        socket.close();
+        reject(new Error('No UDP response'));
+      }, 2000);
+      socket.on('message', (response) => {
+        clearTimeout(timer);
+        socket.close();
+        resolve(packet.decode(response));
+      });
+      socket.send(buffer, target, '127.0.0.1');
+    });
+  }
+
+  function tcpQuery(buffers) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(port, '127.0.0.1');
+      const responses = [];
+      let buffer = Buffer.alloc(0);
+      socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+          responses.push(packet.decode(buffer.subarray(2, 2 + buffer.readUInt16BE(0))));
+          buffer = buffer.subarray(2 + buffer.readUInt16BE(0));
+        }
+        if (responses.length === buffers.length) {
+          socket.end();
+          resolve(responses);
+        }
+      });
+      socket.on('error', reject);
+      // Both queries in one write, to exercise the framing
+      socket.write(Buffer.concat(buffers.map((buf) => packet.streamEncode(packet.decode(buf)))));
+    });
+  }
+
+  async function startServer(options = {}) {
+    server = new DNSServer({ port: 0, host: '127.0.0.1', timeout: 100, probe: false, ...options });
+    ({ port } = await server.start());
+    server.resolver._handleResponse({
+      answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+    });
+  }
+
+  afterEach(async () => {
+    if (server) {
+      await server.stop();
+      server = null;
+    }
+  });
+
+  test('should reject invalid upstream servers', () => {
+    expect(() => new DNSServer({ forward: 'dns.example.com' })).toThrow(
+      'Invalid upstream DNS server: dns.example.com. Use an IP address with an optional port'
+    );
+    expect(new DNSServer({ forward: '[::1]:5353' }).upstream).toEqual({ address: '::1', port: 5353 });
+    expect(new DNSServer({ forward: '1.1.1.1' }).upstream).toEqual({ address: '1.1.1.1', port: 53 });
+  });
+
+  test('should answer .local questions over UDP', async () => {
+    await startServer();
+
+    const response = await udpQuery(message('peer.local', 'A'));
+    expect(response.id).toBe(7);
+    expect(response.rcode).toBe('NOERROR');
+    expect(response.flag_rd).toBe(true);
+    expect(response.answers).toEqual([
+      expect.objectContaining({ name: 'peer.local', type: 'A', data: '192.168.1.100' })
+    ]);
+  });
+
+  test('should answer several queries on one TCP connection', async () => {
+    await startServer();
+
+    const responses = await tcpQuery([message('peer.local', 'A'), message('missing.local', 'A')]);
+    const byName = Object.fromEntries(responses.map((response) => [response.questions[0].name, response]));
+    expect(byName['peer.local'].answers[0].data).toBe('192.168.1.100');
+    expect(byName['missing.local'].rcode).toBe('NXDOMAIN');
+  });
+
+  test('should listen for UDP and TCP on the one address a host name resolves to', async () => {
+    server = new DNSServer({ port: 0, host: 'localhost', timeout: 100, probe: false });
+    const { host, address } = await server.start();
+
+    expect(host).toBe('localhost');
+    expect(server.udp.address().address).toBe(address);
+    expect(server.tcp.address().address).toBe(address);
+  });
+
+  test('should refuse other names without an upstream server', async () => {
+    await startServer();
+
+    const response = await udpQuery(message('example.com', 'A'));
+    expect(response.rcode).toBe('REFUSED');
+    expect(response.flag_ra).toBe(false);
+  });
+
+  test('should truncate UDP responses that do not fit', async () => {
+    await startServer();
+    const answers = [];
+    for (let i = 0; i < 40; i++) {
+      answers.push({ name: 'many.local', type: 'A', data: `10.0.0.${i}`, ttl: 120 });
+    }
+    server.resolver._handleResponse({ answers });
+
+    const response = await udpQuery(message('many.local', 'A'));
+    expect(response.flag_tc).toBe(true);
+    expect(response.answers).toEqual([]);
+
+    const [full] = await tcpQuery([message('many.local', 'A')]);
+    expect(full.answers).toHaveLength(40);
+  });
+
+  describe('forwarding', () => {
+    let upstream;
+    let upstreamPort;
+
+    beforeEach(async () => {
+      upstream = dgram.createSocket('udp4');
+      upstream.on('message', (msg, rinfo) => {
+        const query = packet.decode(msg);
+        if (query.questions[0].name === 'silent.example.com') {
+          return;
+        }
+        upstream.send(packet.encode({
+          id: query.id,
+          type: 'response',
+          flags: packet.RECURSION_DESIRED | packet.RECURSION_AVAILABLE,
+          questions: query.questions,
+          answers: [{ name: query.questions[0].name, type: 'A', ttl: 300, data: '93.184.216.34' }]
+        }), rinfo.port, rinfo.address);
+      });
+      await new Promise((resolve) => upstream.bind(0, '127.0.0.1', resolve));
+      upstreamPort = upstream.address().port;
+    });
+
+    afterEach(() => {
+      upstream.close();
+    });
+
+    test('should pass other names to the upstream server', async () => {
+      await startServer({ forward: `127.0.0.1:${upstreamPort}` });
+
+      const response = await udpQuery(message('example.com', 'A'));
+      expect(response.id).toBe(7);
+      expect(response.answers[0]).toMatchObject({ name: 'example.com', data: '93.184.216.34' });
+    });
+
+    test('should keep answering .local names itself', async () => {
+      await startServer({ forward: `127.0.0.1:${upstreamPort}` });
+
+      const response = await udpQuery(message('peer.local', 'A'));
+      expect(response.answers[0].data).toBe('192.168.1.100');
+      expect(response.flag_ra).toBe(true);
+    });
+
+    test('should answer SERVFAIL when the upstream server does not answer', async () => {
+      await startServer({ forward: `127.0.0.1:${upstreamPort}`, forwardTimeout: 100 });
+
+      const response = await udpQuery(message('silent.example.com', 'A'));
+      expect(response.rcode).toBe('SERVFAIL');
+    });
+  });
+
+  test('should drop malformed messages', async () => {
+    await startServer();
+
+    await expect(udpQuery(Buffer.from([1, 2, 3]))).rejects.toThrow('No UDP response');
+  });
+});
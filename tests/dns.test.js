@@ -0,0 +1,165 @@
+const packet = require('dns-packet');
+const MDNSResolver = require('../src/resolver');
+const { answerQuery, toJson, isLocal, minTtl } = require('../src/dns');
+
+describe('dns', () => {
+  let resolver;
+
+  const query = (questions, extra = {}) => ({
+    id: 42,
+    type: 'query',
+    flags: packet.RECURSION_DESIRED,
+    opcode: 'QUERY',
+    questions,
+    ...extra
+  });
+
+  beforeEach(() => {
+    resolver = new MDNSResolver({ timeout: 100, probe: false });
+    resolver.start();
+    resolver._handleResponse({
+      answers: [
+        { name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 },
+        { name: 'peer.local', type: 'A', data: '192.168.1.101', ttl: 60 },
+        { name: 'peer.local', type: 'TXT', data: [Buffer.from('path=/')], ttl: 120 }
+      ]
+    });
+  });
+
+  afterEach(async () => {
+    await resolver.stop();
+  });
+
+  describe('answerQuery()', () => {
+    test('should answer .local questions with cached records and TTLs', async () => {
+      const response = await answerQuery(resolver, query([{ name: 'peer.local', type: 'A', class: 'IN' }]));
+
+      expect(response).toMatchObject({ id: 42, type: 'response', flags: packet.RECURSION_DESIRED });
+      expect(response.answers).toEqual([
+        { name: 'peer.local', type: 'A', class: 'IN', ttl: expect.any(Number), data: '192.168.1.100' },
+        { name: 'peer.local', type: 'A', class: 'IN', ttl: expect.any(Number), data: '192.168.1.101' }
+      ]);
+      // Remaining TTLs, counted down from the cache
+      expect(response.answers[0].ttl).toBeGreaterThanOrEqual(119);
+      expect(response.answers[1].ttl).toBeLessThanOrEqual(60);
+    });
+
+    test('should produce responses dns-packet can encode', async () => {
+      const response = await answerQuery(resolver, query([{ name: 'peer.local', type: 'ANY', class: 'IN' }]));
+      const decoded = packet.decode(packet.encode(response));
+
+      expect(decoded.rcode).toBe('NOERROR');
+      expect(decoded.answers.map((answer) => answer.type).sort()).toEqual(['A', 'A', 'TXT']);
+      expect(decoded.answers.find((answer) => answer.type === 'TXT').data).toEqual([Buffer.from('path=/')]);
+    });
+
+    test('should refuse names outside .local', async () => {
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      const response = await answerQuery(resolver, query([{ name: 'example.com', type: 'A', class: 'IN' }]));
+
+      expect(packet.decode(packet.encode(response)).rcode).toBe('REFUSED');
+      expect(querySpy).not.toHaveBeenCalled();
+    });
+
+    test('should answer NXDOMAIN for names that do not resolve', async () => {
+      const response = await answerQuery(resolver, query([{ name: 'missing.local', type: 'A', class: 'IN' }]));
+
+      expect(packet.decode(packet.encode(response)).rcode).toBe('NXDOMAIN');
+      expect(response.answers).toEqual([]);
+    });
+
+    test('should answer record types it does not handle with no records', async () => {
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      const response = await answerQuery(resolver, query([{ name: 'peer.local', type: 'MX', class: 'IN' }]));
+
+      expect(packet.decode(packet.encode(response)).rcode).toBe('NOERROR');
+      expect(response.answers).toEqual([]);
+      expect(querySpy).not.toHaveBeenCalled();
+    });
+
+    test('should answer NOTIMP for other opcodes and classes', async () => {
+      let response = await answerQuery(resolver, query([{ name: 'peer.local', type: 'A', class: 'IN' }], { opcode: 'UPDATE' }));
+      expect(packet.decode(packet.encode(response)).rcode).toBe('NOTIMP');
+
+      response = await answerQuery(resolver, query([{ name: 'peer.local', type: 'A', class: 'CH' }]));
+      expect(packet.decode(packet.encode(response)).rcode).toBe('NOTIMP');
+    });
+
+    test('should answer FORMERR without questions', async () => {
+      const response = await answerQuery(resolver, query([]));
+      expect(packet.decode(packet.encode(response)).rcode).toBe('FORMERR');
+    });
+
+    test('should answer SERVFAIL when the resolver is not running', async () => {
+      await resolver.stop();
+      const response = await answerQuery(resolver, query([{ name: 'peer.local', type: 'A', class: 'IN' }]));
+      expect(packet.decode(packet.encode(response)).rcode).toBe('SERVFAIL');
+    });
+  });
+
+  describe('toJson()', () => {
+    test('should follow the JSON DNS schema', async () => {
+      const response = await answerQuery(resolver, query([{ name: 'peer.local', type: 'A', class: 'IN' }]));
+
+      expect(toJson(response)).toEqual({
+        Status: 0,
+        TC: false,
+        RD: true,
+        RA: false,
+        AD: false,
+        CD: false,
+        Question: [{ name: 'peer.local.', type: 1 }],
+        Answer: [
+          { name: 'peer.local.', type: 1, TTL: response.answers[0].ttl, data: '192.168.1.100' },
+          { name: 'peer.local.', type: 1, TTL: response.answers[1].ttl, data: '192.168.1.101' }
+        ]
+      });
+    });
+
+    test('should leave out Answer for failed lookups', async () => {
+      const response = await answerQuery(resolver, query([{ name: 'example.com', type: 'AAAA', class: 'IN' }]));
+
+      const json = toJson(response);
+      expect(json.Status).toBe(5);
+      expect(json.Question).toEqual([{ name: 'example.com.', type: 28 }]);
+      expect(json).not.toHaveProperty('Answer');
+    });
+
+    test('should present record data in zone file format', () => {
+      const json = toJson({
+        flags: 0,
+        questions: [],
+        answers: [
+          { name: 'peer.local', type: 'TXT', ttl: 1, data: [Buffer.from('a="b"'), 'flag'] },
+          { name: 'web._http._tcp.local', type: 'SRV', ttl: 1, data: { priority: 0, weight: 5, port: 80, target: 'web.local' } },
+          { name: '_http._tcp.local', type: 'PTR', ttl: 1, data: 'web._http._tcp.local' },
+          { name: 'peer.local', type: 'HINFO', ttl: 1, data: { cpu: 'ARM64', os: 'Linux' } }
+        ]
+      });
+
+      expect(json.Answer.map((answer) => answer.data)).toEqual([
+        '"a=\\"b\\"" "flag"',
+        '0 5 80 web.local.',
+        'web._http._tcp.local.',
+        '"ARM64" "Linux"'
+      ]);
+      expect(json.Answer.map((answer) => answer.type)).toEqual([16, 33, 12, 13]);
+    });
+  });
+
+  describe('isLocal()', () => {
+    test('should match names in the .local zone', () => {
+      expect(isLocal('peer.local')).toBe(true);
+      expect(isLocal('Peer.LOCAL.')).toBe(true);
+      expect(isLocal('example.com')).toBe(false);
+      expect(isLocal('notlocal')).toBe(false);
+    });
+  });
+
+  describe('minTtl()', () => {
+    test('should return the lowest answer TTL', () => {
+      expect(minTtl({ answers: [{ ttl: 120 }, { ttl: 30 }] })).toBe(30);
+      expect(minTtl({ answers: [] })).toBeNull();
+    });
+  });
+});
@@ -1,4 +1,14 @@
+const os = require('os');
 const MDNSResolver = require('../src/resolver');
+const {
+  NotFoundError,
+  TimeoutError,
+  AbortError,
+  NotRunningError,
+  StoppedError,
+  InvalidNameError,
+  httpStatus
+} = require('../src/errors');
 
 describe('MDNSResolver', () => {
   let resolver;
@@ -50,6 +60,18 @@ describe('MDNSResolver', () => {
       expect(() => resolver.start()).toThrow('Resolver is already running');
     });
 
+    test('should fail to start on an unknown interface', () => {
+      resolver = new MDNSResolver({ interface: 'no-such-interface0' });
+      expect(() => resolver.start()).toThrow('Unknown network interface: no-such-interface0');
+      expect(resolver.mdns).toBeNull();
+    });
+
+    test('should fail to start with an invalid address family', () => {
+      resolver = new MDNSResolver({ family: 'ipv7' });
+      expect(() => resolver.start()).toThrow('Invalid address family: ipv7');
+      expect(resolver.mdns).toBeNull();
+    });
+
     test('should stop the resolver', (done) => {
       resolver.start();
       resolver.on('stopped', () => {
@@ -126,8 +148,7 @@ describe('MDNSResolver', () => {
       // Manually populate cache
       const cacheKey = 'test.local:A';
       resolver.cache.set(cacheKey, {
-        address: '192.168.1.100',
-        expires: Date.now() + 60000
+        records: [{ data: '192.168.1.100', ttl: 60, expires: Date.now() + 60000 }]
       });
       
       const address = await resolver.resolve('test.local', 'A');
@@ -140,8 +161,7 @@ describe('MDNSResolver', () => {
       // Manually populate cache
       const cacheKey = 'test.local:A';
       resolver.cache.set(cacheKey, {
-        address: '192.168.1.100',
-        expires: Date.now() + 60000
+        records: [{ data: '192.168.1.100', ttl: 60, expires: Date.now() + 60000 }]
       });
       
       resolver.on('cache-hit', ({ name, type, address }) => {
@@ -161,8 +181,7 @@ describe('MDNSResolver', () => {
       // Manually populate cache with expired entry
       const cacheKey = 'test.local:A';
       resolver.cache.set(cacheKey, {
-        address: '192.168.1.100',
-        expires: Date.now() - 1000 // Expired
+        records: [{ data: '192.168.1.100', ttl: 60, expires: Date.now() - 1000 }] // Expired
       });
       
       // Should not use cache and will timeout
@@ -224,8 +243,9 @@ describe('MDNSResolver', () => {
 
       const cached = resolver.cache.get('test.local:A');
       expect(cached).toBeTruthy();
-      expect(cached.address).toBe('192.168.1.100');
-      expect(cached.expires).toBeGreaterThan(Date.now());
+      expect(cached.records).toHaveLength(1);
+      expect(cached.records[0].data).toBe('192.168.1.100');
+      expect(cached.records[0].expires).toBeGreaterThan(Date.now());
     });
 
     test('should resolve pending queries', (done) => {
@@ -247,25 +267,72 @@ describe('MDNSResolver', () => {
       }, 50);
     });
 
+    test('should remove addresses on goodbye packets', () => {
+      resolver._handleResponse({
+        answers: [
+          { name: 'test.local', type: 'A', data: '192.168.1.100', ttl: 120 },
+          { name: 'test.local', type: 'A', data: '10.0.0.100', ttl: 120 }
+        ]
+      });
+      resolver._handleResponse({
+        answers: [{ name: 'test.local', type: 'A', data: '10.0.0.100', ttl: 0 }]
+      });
+
+      expect(resolver.cache.get('test.local:A').records.map((record) => record.data)).toEqual(['192.168.1.100']);
+
+      resolver._handleResponse({
+        answers: [{ name: 'test.local', type: 'A', data: '192.168.1.100', ttl: 0 }]
+      });
+
+      expect(resolver.getCacheSize()).toBe(0);
+    });
+
     test('should ignore responses without answers', () => {
       const initialSize = resolver.getCacheSize();
       resolver._handleResponse({ answers: [] });
       expect(resolver.getCacheSize()).toBe(initialSize);
     });
 
-    test('should ignore non-A/AAAA records', () => {
+    test('should ignore unsupported record types', () => {
       const initialSize = resolver.getCacheSize();
       resolver._handleResponse({
         answers: [{
           name: 'test.local',
-          type: 'TXT',
-          data: 'some text',
+          type: 'CNAME',
+          data: 'other.local',
           ttl: 120
         }]
       });
       expect(resolver.getCacheSize()).toBe(initialSize);
     });
 
+    test('should cache TXT records as key/value maps', () => {
+      resolver._handleResponse({
+        answers: [{
+          name: 'test.local',
+          type: 'TXT',
+          data: [Buffer.from('path=/'), Buffer.from('secure')],
+          ttl: 120
+        }]
+      });
+
+      const cache = resolver.getCache();
+      expect(cache['test.local:TXT'].data).toEqual({ path: '/', secure: true });
+      expect(cache['test.local:TXT'].records).toHaveLength(1);
+    });
+
+    test('should tag answers with the interface they arrived on', () => {
+      const resolved = jest.fn();
+      resolver.on('resolved', resolved);
+
+      resolver._handleResponse({
+        answers: [{ name: 'test.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      }, { address: '192.168.1.100', port: 5353, interface: 'eth0' });
+
+      expect(resolved.mock.calls[0][0].interface).toBe('eth0');
+      expect(resolver.getCache()['test.local:A'].addresses[0].interface).toBe('eth0');
+    });
+
     test('should limit cache size', () => {
       resolver = new MDNSResolver({ cacheSize: 2 });
       resolver.start();
@@ -281,6 +348,807 @@ describe('MDNSResolver', () => {
 
       expect(resolver.getCacheSize()).toBe(2);
     });
+
+    test('should evict the least recently resolved name', async () => {
+      resolver = new MDNSResolver({ cacheSize: 2 });
+      resolver.start();
+      const evicted = jest.fn();
+      resolver.on('evicted', evicted);
+
+      resolver._handleResponse({
+        answers: [
+          { name: 'test1.local', type: 'A', data: '192.168.1.1', ttl: 120 },
+          { name: 'test2.local', type: 'A', data: '192.168.1.2', ttl: 120 }
+        ]
+      });
+      await resolver.resolve('test1.local');
+      resolver._handleResponse({
+        answers: [{ name: 'test3.local', type: 'A', data: '192.168.1.3', ttl: 120 }]
+      });
+
+      expect(Object.keys(resolver.getCache())).toEqual(['test1.local:A', 'test3.local:A']);
+      expect(evicted).toHaveBeenCalledWith(expect.objectContaining({ name: 'test2.local', type: 'A' }));
+      expect(resolver.reverseIndex.has('2.1.168.192.in-addr.arpa')).toBe(false);
+    });
+
+    test('should sweep expired records and emit expired', (done) => {
+      resolver = new MDNSResolver({ sweepInterval: 20 });
+      resolver.start();
+
+      resolver.on('expired', ({ name, type, data }) => {
+        expect(name).toBe('test.local');
+        expect(type).toBe('A');
+        expect(data).toBe('192.168.1.100');
+        expect(resolver.getCacheSize()).toBe(0);
+        expect(resolver.reverseIndex.size).toBe(0);
+        done();
+      });
+
+      resolver._handleResponse({
+        answers: [{ name: 'test.local', type: 'A', data: '192.168.1.100', ttl: 0.01 }]
+      });
+    });
+
+    test('should replace the cached RRset on the cache-flush bit', () => {
+      resolver._handleResponse({
+        answers: [{ name: 'test.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+      resolver.cache.peek('test.local:A').records[0].received -= 2000;
+      resolver._handleResponse({
+        answers: [{ name: 'test.local', type: 'A', data: '192.168.1.101', ttl: 120, flush: true }]
+      });
+
+      const [old, fresh] = resolver.getCache()['test.local:A'].addresses;
+      expect(old.expiresIn).toBeLessThanOrEqual(1);
+      expect(fresh.expiresIn).toBeGreaterThanOrEqual(119);
+    });
+
+    test('should query again when the remaining TTL is below minRemainingTtl', async () => {
+      resolver = new MDNSResolver({ timeout: 50, minRemainingTtl: 10 });
+      resolver.start();
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+
+      resolver._handleResponse({
+        answers: [
+          { name: 'fresh.local', type: 'A', data: '192.168.1.1', ttl: 120 },
+          { name: 'stale.local', type: 'A', data: '192.168.1.2', ttl: 5 }
+        ]
+      });
+
+      await expect(resolver.resolve('fresh.local')).resolves.toBe('192.168.1.1');
+      expect(querySpy).not.toHaveBeenCalled();
+
+      await expect(resolver.resolve('stale.local')).rejects.toThrow('Timeout');
+      expect(querySpy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('known-answer suppression', () => {
+    beforeEach(() => {
+      resolver.start();
+    });
+
+    test('should list cached answers with more than half their TTL left', () => {
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      resolver._handleResponse({
+        answers: [
+          { name: '_http._tcp.local', type: 'PTR', data: 'a._http._tcp.local', ttl: 120 },
+          { name: '_http._tcp.local', type: 'PTR', data: 'b._http._tcp.local', ttl: 120 }
+        ]
+      });
+      resolver.cache.peek('_http._tcp.local:PTR').records[1].expires = Date.now() + 50000;
+
+      resolver._query([{ name: '_http._tcp.local', type: 'PTR' }]);
+
+      expect(querySpy).toHaveBeenCalledWith({
+        questions: [{ name: '_http._tcp.local', type: 'PTR' }],
+        answers: [{ name: '_http._tcp.local', type: 'PTR', ttl: expect.any(Number), data: 'a._http._tcp.local' }]
+      });
+      expect(querySpy.mock.calls[0][0].answers[0].ttl).toBeGreaterThanOrEqual(119);
+    });
+
+    test('should encode structured record data back for the wire', () => {
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      resolver._handleResponse({
+        answers: [{ name: 'printer._ipp._tcp.local', type: 'TXT', data: [Buffer.from('rp=ipp')], ttl: 120 }]
+      });
+
+      resolver._query([{ name: 'printer._ipp._tcp.local', type: 'ANY' }]);
+
+      expect(querySpy.mock.calls[0][0].answers[0]).toMatchObject({ type: 'TXT', data: ['rp=ipp'] });
+    });
+
+    test('should send plain queries when nothing is cached', () => {
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+
+      resolver._query([{ name: 'peer.local', type: 'A' }]);
+
+      expect(querySpy).toHaveBeenCalledWith({ questions: [{ name: 'peer.local', type: 'A' }] });
+    });
+
+    test('should not list records resolve() wants refreshed', async () => {
+      resolver.stop();
+      resolver = new MDNSResolver({ timeout: 50, minRemainingTtl: 100 });
+      resolver.start();
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.2', ttl: 120 }]
+      });
+      resolver.cache.peek('peer.local:A').records[0].expires = Date.now() + 90000;
+
+      await expect(resolver.resolve('peer.local')).rejects.toThrow('Timeout');
+      expect(querySpy.mock.calls[0][0].answers).toBeUndefined();
+    });
+  });
+
+  describe('record types', () => {
+    beforeEach(() => {
+      resolver.start();
+    });
+
+    const respond = (answers) => setTimeout(() => resolver._handleResponse({ answers }), 20);
+
+    test('should reject unsupported record types', async () => {
+      await expect(resolver.resolve('test.local', 'MX')).rejects.toThrow(
+        'Unsupported record type: MX'
+      );
+    });
+
+    test('should accept lowercase record types', () => {
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      resolver.resolve('test.local', 'txt').catch(() => {});
+
+      expect(querySpy).toHaveBeenCalledWith(
+        expect.objectContaining({ questions: [{ name: 'test.local', type: 'TXT' }] })
+      );
+    });
+
+    test('should resolve TXT records to a key/value map', async () => {
+      respond([{
+        name: 'test.local',
+        type: 'TXT',
+        data: [Buffer.from('version=2'), Buffer.from('relay')],
+        ttl: 120
+      }]);
+
+      await expect(resolver.resolve('test.local', 'TXT')).resolves.toEqual({
+        version: '2',
+        relay: true
+      });
+    });
+
+    test('should resolve SRV records', async () => {
+      respond([{
+        name: 'web._http._tcp.local',
+        type: 'SRV',
+        data: { priority: 10, weight: 5, port: 8080, target: 'Server.local' },
+        ttl: 120
+      }]);
+
+      await expect(resolver.resolve('web._http._tcp.local', 'SRV')).resolves.toEqual({
+        priority: 10,
+        weight: 5,
+        port: 8080,
+        target: 'server.local'
+      });
+    });
+
+    test('should resolve PTR records', async () => {
+      respond([{
+        name: '_http._tcp.local',
+        type: 'PTR',
+        data: 'web._http._tcp.local',
+        ttl: 120
+      }]);
+
+      await expect(resolver.resolve('_http._tcp.local', 'PTR')).resolves.toBe('web._http._tcp.local');
+    });
+
+    test('should resolve HINFO records', async () => {
+      respond([{
+        name: 'test.local',
+        type: 'HINFO',
+        data: { cpu: 'ARM64', os: 'Linux' },
+        ttl: 120
+      }]);
+
+      await expect(resolver.resolve('test.local', 'HINFO')).resolves.toEqual({
+        cpu: 'ARM64',
+        os: 'Linux'
+      });
+    });
+
+    test('should emit data in resolved events', (done) => {
+      resolver.on('resolved', ({ name, type, address, data }) => {
+        expect(name).toBe('test.local');
+        expect(type).toBe('HINFO');
+        expect(address).toBeUndefined();
+        expect(data).toEqual({ cpu: 'x86', os: 'Linux' });
+        done();
+      });
+
+      resolver._handleResponse({
+        answers: [{ name: 'test.local', type: 'HINFO', data: { cpu: 'x86', os: 'Linux' }, ttl: 120 }]
+      });
+    });
+
+    test('should collect every record type for ANY', async () => {
+      resolver.options.collectWindow = 50;
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+
+      const promise = resolver.resolve('test.local', 'ANY');
+      respond([
+        { name: 'test.local', type: 'A', data: '192.168.1.100', ttl: 120 },
+        { name: 'test.local', type: 'TXT', data: [Buffer.from('a=1')], ttl: 120 }
+      ]);
+
+      const records = await promise;
+      expect(querySpy).toHaveBeenCalledWith(
+        expect.objectContaining({ questions: [{ name: 'test.local', type: 'ANY' }] })
+      );
+      expect(records).toEqual([
+        { type: 'A', data: '192.168.1.100', ttl: expect.any(Number) },
+        { type: 'TXT', data: { a: '1' }, ttl: expect.any(Number) }
+      ]);
+    });
+  });
+
+  describe('cancellation and per-call timeouts', () => {
+    const answer = () => resolver._handleResponse({
+      answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+    });
+
+    beforeEach(() => {
+      resolver.start();
+    });
+
+    test('should reject with TimeoutError after the per-call timeout', async () => {
+      const started = Date.now();
+      const error = await resolver.resolve('peer.local', 'A', { timeout: 50 }).catch((err) => err);
+
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(error).toMatchObject({ code: 'ETIMEOUT', hostname: 'peer.local', type: 'A', timeout: 50 });
+      expect(Date.now() - started).toBeLessThan(500);
+      expect(resolver.pendingQueries.size).toBe(0);
+    });
+
+    test('should reject with AbortError when the signal aborts', async () => {
+      const controller = new AbortController();
+      const promise = resolver.resolve('peer.local', 'A', { signal: controller.signal });
+
+      controller.abort('ICE gathering finished');
+
+      const error = await promise.catch((err) => err);
+      expect(error).toBeInstanceOf(AbortError);
+      expect(error.cause).toBe('ICE gathering finished');
+      expect(resolver.pendingQueries.size).toBe(0);
+    });
+
+    test('should reject at once for an already aborted signal', async () => {
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+
+      await expect(resolver.resolve('peer.local', 'A', { signal: AbortSignal.abort() }))
+        .rejects.toBeInstanceOf(AbortError);
+      expect(querySpy).not.toHaveBeenCalled();
+    });
+
+    test('should keep the query going for other callers when one aborts', async () => {
+      const controller = new AbortController();
+      const aborted = resolver.resolve('peer.local', 'A', { signal: controller.signal });
+      const other = resolver.resolve('peer.local');
+
+      controller.abort();
+      await expect(aborted).rejects.toBeInstanceOf(AbortError);
+      expect(resolver.pendingQueries.has('peer.local:A')).toBe(true);
+
+      answer();
+      await expect(other).resolves.toBe('192.168.1.100');
+    });
+
+    test('should time out callers sharing a query independently', async () => {
+      const short = resolver.resolve('peer.local', 'A', { timeout: 30 });
+      const long = resolver.resolve('peer.local', 'A', { timeout: 500 });
+
+      await expect(short).rejects.toBeInstanceOf(TimeoutError);
+      answer();
+      await expect(long).resolves.toBe('192.168.1.100');
+    });
+
+    test('should not remember aborted lookups as failures', async () => {
+      await resolver.stop();
+      resolver = new MDNSResolver({ negativeTtl: 30 });
+      resolver.start();
+      const controller = new AbortController();
+      const promise = resolver.resolve('peer.local', 'A', { signal: controller.signal });
+
+      controller.abort();
+
+      await expect(promise).rejects.toBeInstanceOf(AbortError);
+      expect(resolver.cache.isNegative('peer.local:A')).toBe(false);
+    });
+
+    test('should support signal and timeout in resolveAll()', async () => {
+      await expect(resolver.resolveAll('peer.local', { timeout: 50, window: 10 }))
+        .rejects.toBeInstanceOf(TimeoutError);
+
+      const controller = new AbortController();
+      const promise = resolver.resolveAll('peer.local', { signal: controller.signal });
+      controller.abort();
+      await expect(promise).rejects.toBeInstanceOf(AbortError);
+      expect(resolver.pendingCollections.size).toBe(0);
+    });
+  });
+
+  describe('retransmission', () => {
+    const question = { name: 'peer.local', type: 'A' };
+
+    test('should retransmit with exponential backoff within the timeout', async () => {
+      resolver = new MDNSResolver({ timeout: 500, retryInterval: 50 });
+      resolver.start();
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      const sentAt = [];
+      resolver.on('query', () => sentAt.push(Date.now()));
+
+      await expect(resolver.resolve('peer.local')).rejects.toThrow('Timeout');
+
+      // Sent at 0, 50, 150 and 350 ms; the next one would fall after the timeout
+      expect(querySpy).toHaveBeenCalledTimes(4);
+      expect(sentAt[2] - sentAt[1]).toBeGreaterThanOrEqual(sentAt[1] - sentAt[0]);
+      expect(sentAt[3] - sentAt[2]).toBeGreaterThanOrEqual(sentAt[2] - sentAt[1]);
+    });
+
+    test('should send a single query when retransmission is disabled', async () => {
+      resolver = new MDNSResolver({ timeout: 200, retryInterval: 20, retransmit: false });
+      resolver.start();
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+
+      await expect(resolver.resolve('peer.local')).rejects.toThrow('Timeout');
+      expect(querySpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop retransmitting once answered', async () => {
+      resolver = new MDNSResolver({ timeout: 500, retryInterval: 20 });
+      resolver.start();
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+
+      const promise = resolver.resolve('peer.local');
+      resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+      await expect(promise).resolves.toBe('192.168.1.100');
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      expect(querySpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should skip a retransmission when another host asks the same question', async () => {
+      resolver = new MDNSResolver({ timeout: 100, retryInterval: 50 });
+      resolver.start();
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      const suppressed = jest.fn();
+      resolver.on('query-suppressed', suppressed);
+
+      const promise = resolver.resolve('peer.local');
+      resolver._handleQuery({ questions: [{ name: 'PEER.local', type: 'A' }] }, { address: '192.0.2.7' });
+
+      await expect(promise).rejects.toThrow('Timeout');
+      expect(querySpy).toHaveBeenCalledTimes(1);
+      expect(suppressed).toHaveBeenCalledWith(question);
+    });
+
+    test('should not count QU questions from other hosts as asked', async () => {
+      resolver = new MDNSResolver({ timeout: 100, retryInterval: 50 });
+      resolver.start();
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+
+      const promise = resolver.resolve('peer.local');
+      resolver._handleQuery({ questions: [{ ...question, unicastResponse: true }] }, { address: '192.0.2.7' });
+
+      await expect(promise).rejects.toThrow('Timeout');
+      expect(querySpy).toHaveBeenCalledTimes(2);
+    });
+
+    test('should ask for a unicast reply on the first query only', async () => {
+      resolver = new MDNSResolver({ timeout: 100, retryInterval: 50, unicastResponse: true });
+      resolver.start();
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+
+      await expect(resolver.resolve('peer.local')).rejects.toThrow('Timeout');
+      expect(querySpy.mock.calls.map((call) => call[0].questions[0].unicastResponse)).toEqual([true, undefined]);
+    });
+
+    test('should ask for a unicast reply to reverse lookups', async () => {
+      resolver = new MDNSResolver({ timeout: 100, unicastResponse: true });
+      resolver.start();
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+
+      await expect(resolver.reverse('192.168.1.100')).rejects.toThrow('Timeout');
+      expect(querySpy).toHaveBeenCalledTimes(1);
+      expect(querySpy.mock.calls[0][0].questions).toEqual([
+        { name: '100.1.168.192.in-addr.arpa', type: 'PTR', unicastResponse: true }
+      ]);
+    });
+
+    test('should ignore its own queries looped back from this machine', async () => {
+      resolver = new MDNSResolver({ timeout: 100, retryInterval: 50 });
+      resolver.start();
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+
+      const promise = resolver.resolve('peer.local');
+      resolver._handleQuery({ questions: [question] }, { address: '127.0.0.1' });
+
+      await expect(promise).rejects.toThrow('Timeout');
+      expect(querySpy).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not read the local addresses for every query', async () => {
+      resolver = new MDNSResolver({ timeout: 100, retryInterval: 50 });
+      resolver.start();
+      const interfacesSpy = jest.spyOn(os, 'networkInterfaces');
+
+      try {
+        // Nothing pending: other hosts' queries are not looked at
+        resolver._handleQuery({ questions: [question] }, { address: '192.0.2.7' });
+        expect(interfacesSpy).not.toHaveBeenCalled();
+
+        const promise = resolver.resolve('peer.local');
+        for (let i = 0; i < 10; i++) {
+          resolver._handleQuery({ questions: [{ name: 'other.local', type: 'A' }] }, { address: '192.0.2.7' });
+        }
+        await expect(promise).rejects.toThrow('Timeout');
+        expect(interfacesSpy.mock.calls.length).toBeLessThanOrEqual(1);
+      } finally {
+        interfacesSpy.mockRestore();
+      }
+    });
+
+    test('should report attempts and time to answer in the resolved event', async () => {
+      resolver = new MDNSResolver({ timeout: 500, retryInterval: 20 });
+      resolver.start();
+      const resolved = jest.fn();
+      resolver.on('resolved', resolved);
+
+      const promise = resolver.resolve('peer.local');
+      await new Promise((resolve) => setTimeout(resolve, 40));
+      resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+      await promise;
+
+      const { stats } = resolved.mock.calls[0][0];
+      expect(stats.attempts).toBe(2);
+      expect(stats.timeToAnswer).toBeGreaterThanOrEqual(30);
+    });
+
+    test('should report whether an answer came by unicast or multicast', () => {
+      resolver.start();
+      const resolved = jest.fn();
+      resolver.on('resolved', resolved);
+
+      resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      }, { address: '192.168.1.100', port: 5353, unicast: true });
+      resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      }, { address: '192.168.1.100', port: 5353, unicast: false });
+
+      expect(resolved.mock.calls.map((call) => call[0].reply)).toEqual(['unicast', 'multicast']);
+    });
+
+    test('should not report stats for unsolicited answers', () => {
+      resolver.start();
+      const resolved = jest.fn();
+      resolver.on('resolved', resolved);
+
+      resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+
+      expect(resolved.mock.calls[0][0].stats).toBeUndefined();
+    });
+  });
+
+  describe('negative caching', () => {
+    test('should not remember failures by default', async () => {
+      resolver = new MDNSResolver({ timeout: 50 });
+      resolver.start();
+
+      await expect(resolver.resolve('missing.local')).rejects.toThrow('Timeout resolving missing.local');
+      expect(resolver.getCacheSize()).toBe(0);
+    });
+
+    test('should reject repeated lookups with NotFoundError without querying', async () => {
+      resolver = new MDNSResolver({ timeout: 50, negativeTtl: 30 });
+      resolver.start();
+
+      await expect(resolver.resolve('missing.local')).rejects.toThrow('Timeout resolving missing.local');
+
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      const error = await resolver.resolve('missing.local').catch((err) => err);
+
+      expect(error).toBeInstanceOf(NotFoundError);
+      expect(error.code).toBe('ENOTFOUND');
+      expect(error.hostname).toBe('missing.local');
+      expect(error.type).toBe('A');
+      expect(querySpy).not.toHaveBeenCalled();
+    });
+
+    test('should only remember the record type that failed', async () => {
+      resolver = new MDNSResolver({ timeout: 50, negativeTtl: 30 });
+      resolver.start();
+
+      await expect(resolver.resolve('missing.local', 'AAAA')).rejects.toThrow('Timeout');
+      await expect(resolver.resolve('missing.local', 'A')).rejects.toThrow('Timeout');
+    });
+
+    test('should show negative entries in getCache()', async () => {
+      resolver = new MDNSResolver({ timeout: 50, negativeTtl: 30 });
+      resolver.start();
+
+      await expect(resolver.resolve('missing.local')).rejects.toThrow();
+
+      const entry = resolver.getCache()['missing.local:A'];
+      expect(entry.negative).toBe(true);
+      expect(entry.expiresIn).toBeGreaterThanOrEqual(29);
+    });
+
+    test('should clear the negative entry when an answer arrives', async () => {
+      resolver = new MDNSResolver({ timeout: 50, negativeTtl: 30 });
+      resolver.start();
+
+      await expect(resolver.resolve('peer.local')).rejects.toThrow();
+      resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+      resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 0 }]
+      });
+
+      await expect(resolver.resolve('peer.local')).rejects.toThrow('Timeout resolving peer.local');
+    });
+
+    test('should query again once the negative entry expires', async () => {
+      resolver = new MDNSResolver({ timeout: 50, negativeTtl: 0.05 });
+      resolver.start();
+
+      await expect(resolver.resolve('missing.local')).rejects.toThrow('Timeout');
+      await new Promise((resolve) => setTimeout(resolve, 60));
+
+      await expect(resolver.resolve('missing.local')).rejects.toThrow('Timeout');
+      expect(resolver.getCache()).toEqual({ 'missing.local:A': { negative: true, expiresIn: 0 } });
+    });
+  });
+
+  describe('reverse()', () => {
+    beforeEach(() => {
+      resolver.start();
+    });
+
+    test('should reject invalid IP addresses', async () => {
+      await expect(resolver.reverse('not-an-ip')).rejects.toThrow('Invalid IP address: not-an-ip');
+    });
+
+    test('should answer from the reverse index of observed A/AAAA answers', async () => {
+      resolver._handleResponse({
+        answers: [
+          { name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 },
+          { name: 'alias.local', type: 'A', data: '192.168.1.100', ttl: 120 },
+          { name: 'peer.local', type: 'AAAA', data: 'fe80::1', ttl: 120 }
+        ]
+      });
+
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      await expect(resolver.reverse('192.168.1.100')).resolves.toEqual(['peer.local', 'alias.local']);
+      await expect(resolver.reverse('FE80:0:0::1')).resolves.toEqual(['peer.local']);
+      expect(querySpy).not.toHaveBeenCalled();
+    });
+
+    test('should forget addresses on goodbye packets', async () => {
+      resolver.options.collectWindow = 20;
+      resolver.options.timeout = 50;
+      resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+      resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 0 }]
+      });
+
+      expect(resolver.reverseIndex.size).toBe(0);
+      await expect(resolver.reverse('192.168.1.100')).rejects.toThrow('Timeout');
+    });
+
+    test('should send a PTR query for the in-addr.arpa name', async () => {
+      resolver.options.collectWindow = 20;
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+
+      const promise = resolver.reverse('192.168.1.100');
+      resolver._handleResponse({
+        answers: [{ name: '100.1.168.192.in-addr.arpa', type: 'PTR', data: 'Peer.local', ttl: 120 }]
+      });
+
+      await expect(promise).resolves.toEqual(['peer.local']);
+      expect(querySpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          questions: [{ name: '100.1.168.192.in-addr.arpa', type: 'PTR' }]
+        })
+      );
+    });
+
+    test('should send a PTR query for the ip6.arpa name', () => {
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      resolver.reverse('2001:db8::1').catch(() => {});
+
+      expect(querySpy.mock.calls[0][0].questions[0].name).toBe(
+        '1.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.0.8.b.d.0.1.0.0.2.ip6.arpa'
+      );
+    });
+  });
+
+  describe('resolveAll()', () => {
+    beforeEach(() => {
+      resolver.start();
+    });
+
+    test('should throw error if resolver not started', async () => {
+      const stopped = new MDNSResolver();
+      await expect(stopped.resolveAll('test.local')).rejects.toThrow(
+        'Resolver is not running'
+      );
+    });
+
+    test('should query every requested type in one packet', () => {
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      resolver.resolveAll('testhost', { window: 50 }).catch(() => {});
+
+      expect(querySpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          questions: [
+            { name: 'testhost.local', type: 'A' },
+            { name: 'testhost.local', type: 'AAAA' }
+          ]
+        })
+      );
+    });
+
+    test('should collect every address within the window', async () => {
+      const promise = resolver.resolveAll('multi.local', { window: 100 });
+
+      setTimeout(() => {
+        resolver._handleResponse({
+          answers: [
+            { name: 'multi.local', type: 'A', data: '192.168.1.10', ttl: 120 },
+            { name: 'multi.local', type: 'AAAA', data: 'fe80::1', ttl: 120 }
+          ]
+        });
+        resolver._handleResponse({
+          answers: [
+            { name: 'multi.local', type: 'A', data: '10.0.0.10', ttl: 60 },
+            { name: 'multi.local', type: 'AAAA', data: '2001:db8::1', ttl: 60 }
+          ]
+        });
+      }, 20);
+
+      const addresses = await promise;
+      expect(addresses).toEqual([
+        { address: '192.168.1.10', type: 'A', ttl: expect.any(Number) },
+        { address: '10.0.0.10', type: 'A', ttl: expect.any(Number) },
+        { address: 'fe80::1', type: 'AAAA', ttl: expect.any(Number) },
+        { address: '2001:db8::1', type: 'AAAA', ttl: expect.any(Number) }
+      ]);
+      expect(addresses[0].ttl).toBeGreaterThan(60);
+      expect(addresses[1].ttl).toBeLessThanOrEqual(60);
+    });
+
+    test('should report the interface each address arrived on', async () => {
+      const promise = resolver.resolveAll('multi.local', { types: ['A'], window: 20 });
+      resolver._handleResponse({
+        answers: [{ name: 'multi.local', type: 'A', data: '192.168.1.10', ttl: 120 }]
+      }, { interface: 'eth0' });
+      resolver._handleResponse({
+        answers: [{ name: 'multi.local', type: 'A', data: '172.17.0.10', ttl: 120 }]
+      }, { interface: 'docker0' });
+
+      const addresses = await promise;
+      expect(addresses.map(({ address, interface: iface }) => [address, iface])).toEqual([
+        ['192.168.1.10', 'eth0'],
+        ['172.17.0.10', 'docker0']
+      ]);
+    });
+
+    test('should settle on the first late answer after the window', async () => {
+      const promise = resolver.resolveAll('late.local', { types: ['A'], window: 20 });
+
+      setTimeout(() => {
+        resolver._handleResponse({
+          answers: [{ name: 'late.local', type: 'A', data: '192.168.1.20', ttl: 120 }]
+        });
+      }, 80);
+
+      const addresses = await promise;
+      expect(addresses.map((entry) => entry.address)).toEqual(['192.168.1.20']);
+    });
+
+    test('should answer from cache when every type is cached', async () => {
+      resolver._handleResponse({
+        answers: [
+          { name: 'cached.local', type: 'A', data: '192.168.1.30', ttl: 120 },
+          { name: 'cached.local', type: 'A', data: '192.168.1.31', ttl: 120 }
+        ]
+      });
+
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      const addresses = await resolver.resolveAll('cached.local', { types: ['A'] });
+
+      expect(querySpy).not.toHaveBeenCalled();
+      expect(addresses.map((entry) => entry.address)).toEqual(['192.168.1.30', '192.168.1.31']);
+    });
+
+    test('should timeout if no response received', async () => {
+      resolver.options.timeout = 100;
+      await expect(resolver.resolveAll('nonexistent.local', { window: 50 })).rejects.toThrow(
+        'Timeout resolving nonexistent.local'
+      );
+    });
+
+    test('should reject pending collections on stop', async () => {
+      const promise = resolver.resolveAll('pending.local');
+      await resolver.stop();
+      await expect(promise).rejects.toThrow('Resolver stopped');
+    });
+  });
+
+  describe('resolveMany()', () => {
+    beforeEach(() => {
+      resolver.start();
+    });
+
+    test('should throw error if resolver not started', async () => {
+      const stopped = new MDNSResolver();
+      await expect(stopped.resolveMany(['test.local'])).rejects.toThrow('Resolver is not running');
+    });
+
+    test('should reject unsupported record types', async () => {
+      await expect(resolver.resolveMany(['test.local'], 'MX')).rejects.toThrow('Unsupported record type: MX');
+    });
+
+    test('should require an array of names', async () => {
+      await expect(resolver.resolveMany('test.local')).rejects.toThrow('names must be an array');
+    });
+
+    test('should report a result or error per name, in order', async () => {
+      resolver._handleResponse({
+        answers: [{ name: 'cached.local', type: 'A', data: '192.168.1.30', ttl: 120 }]
+      });
+
+      const promise = resolver.resolveMany(['late', 'cached.local', 'missing.local', ''], 'A', { timeout: 100 });
+      setTimeout(() => {
+        resolver._handleResponse({
+          answers: [{ name: 'late.local', type: 'A', data: '192.168.1.31', ttl: 120 }]
+        });
+      }, 20);
+
+      const results = await promise;
+      expect(results.map(({ name, result }) => ({ name, result }))).toEqual([
+        { name: 'late', result: '192.168.1.31' },
+        { name: 'cached.local', result: '192.168.1.30' },
+        { name: 'missing.local', result: undefined },
+        { name: '', result: undefined }
+      ]);
+      expect(results[2].error.code).toBe('ETIMEOUT');
+      expect(results[3].error.code).toBe('EINVALIDNAME');
+      expect(results[0].error).toBeUndefined();
+    });
+
+    test('should query every name in parallel', async () => {
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      const promise = resolver.resolveMany(['a.local', 'b.local'], 'AAAA', { timeout: 50 });
+
+      await new Promise((resolve) => setImmediate(resolve));
+      const names = querySpy.mock.calls.map(([query]) => query.questions[0].name);
+      expect(names).toEqual(['a.local', 'b.local']);
+
+      await promise;
+    });
   });
 
   describe('Cache management', () => {
@@ -290,8 +1158,7 @@ describe('MDNSResolver', () => {
 
     test('should clear cache', () => {
       resolver.cache.set('test.local:A', {
-        address: '192.168.1.100',
-        expires: Date.now() + 60000
+        records: [{ data: '192.168.1.100', ttl: 60, expires: Date.now() + 60000 }]
       });
 
       resolver.clearCache();
@@ -307,8 +1174,7 @@ describe('MDNSResolver', () => {
 
     test('should get cache contents', () => {
       resolver.cache.set('test.local:A', {
-        address: '192.168.1.100',
-        expires: Date.now() + 60000
+        records: [{ data: '192.168.1.100', ttl: 60, expires: Date.now() + 60000 }]
       });
 
       const cache = resolver.getCache();
@@ -316,9 +1182,65 @@ describe('MDNSResolver', () => {
       expect(cache['test.local:A'].address).toBe('192.168.1.100');
       expect(cache['test.local:A'].expiresIn).toBeGreaterThan(0);
     });
+
+    test('should keep every address for a name as a set', () => {
+      resolver._handleResponse({
+        answers: [
+          { name: 'test.local', type: 'A', data: '192.168.1.100', ttl: 120 },
+          { name: 'test.local', type: 'A', data: '10.0.0.100', ttl: 30 }
+        ]
+      });
+
+      const entry = resolver.getCache()['test.local:A'];
+      expect(resolver.getCacheSize()).toBe(1);
+      expect(entry.addresses).toEqual([
+        { address: '192.168.1.100', ttl: 120, expiresIn: expect.any(Number) },
+        { address: '10.0.0.100', ttl: 30, expiresIn: expect.any(Number) }
+      ]);
+      expect(entry.addresses[1].expiresIn).toBeLessThanOrEqual(30);
+    });
   });
 
   describe('Error handling', () => {
+    test('should reject with typed errors carrying stable codes', async () => {
+      await expect(resolver.resolve('peer.local')).rejects.toMatchObject({
+        name: 'NotRunningError',
+        code: 'ENOTRUNNING'
+      });
+
+      resolver.start();
+      const promise = resolver.resolve('peer.local');
+      await resolver.stop();
+      await expect(promise).rejects.toMatchObject({ name: 'StoppedError', code: 'ESTOPPED' });
+    });
+
+    test('should reject invalid names', async () => {
+      resolver.start();
+
+      for (const name of ['', 'a..b', `${'x'.repeat(64)}.local`, `${'abcdefgh.'.repeat(29)}local`]) {
+        await expect(resolver.resolve(name)).rejects.toBeInstanceOf(InvalidNameError);
+      }
+      await expect(resolver.reverse('not-an-ip')).rejects.toMatchObject({ code: 'EINVALIDNAME' });
+    });
+
+    test('should accept fully qualified names with a trailing dot', async () => {
+      resolver.start();
+      resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+
+      await expect(resolver.resolve('peer.local.')).resolves.toBe('192.168.1.100');
+    });
+
+    test('should map error codes to HTTP statuses', () => {
+      expect(httpStatus(new InvalidNameError('a..b'))).toBe(400);
+      expect(httpStatus(new NotFoundError('peer.local', 'A'))).toBe(404);
+      expect(httpStatus(new NotRunningError())).toBe(503);
+      expect(httpStatus(new StoppedError())).toBe(503);
+      expect(httpStatus(new TimeoutError('peer.local', 'A', 100))).toBe(504);
+      expect(httpStatus(new Error('boom'))).toBe(500);
+    });
+
     test('should emit error events', (done) => {
       resolver.start();
       
@@ -0,0 +1,530 @@
+const MDNSResolver = require('../src/resolver');
+const MDNSResponder = require('../src/responder');
+const packet = require('dns-packet');
+
+describe('MDNSResponder', () => {
+  let resolver;
+
+  beforeEach(() => {
+    resolver = new MDNSResolver({
+      timeout: 1000,
+      ttl: 60,
+      probe: false
+    });
+  });
+
+  afterEach(async () => {
+    if (resolver && resolver.mdns) {
+      await resolver.stop();
+    }
+  });
+
+  describe('publish()', () => {
+    test('should normalize the published name', async () => {
+      resolver.start();
+      await expect(resolver.publish('My-Peer', '192.168.1.50')).resolves.toBe('my-peer.local');
+      expect(resolver.responder.getPublished()).toEqual(['my-peer.local']);
+    });
+
+    test('should reject invalid addresses', async () => {
+      await expect(resolver.publish('peer.local', 'not-an-ip')).rejects.toThrow(
+        'Invalid address for peer.local: not-an-ip'
+      );
+    });
+
+    test('should default to the addresses of this machine', () => {
+      const responder = new MDNSResponder();
+      responder.publish('self.local').catch(() => {});
+      const registration = responder.registrations.get('self.local');
+      registration.records.forEach((record) => {
+        expect(['A', 'AAAA']).toContain(record.type);
+      });
+    });
+
+    test('should emit published event', (done) => {
+      resolver.on('published', ({ name, addresses }) => {
+        expect(name).toBe('peer.local');
+        expect(addresses).toEqual(['192.168.1.50']);
+        done();
+      });
+      resolver.start();
+      resolver.publish('peer.local', '192.168.1.50');
+    });
+
+    test('should announce published names on start', async () => {
+      resolver = new MDNSResolver({ ttl: 60, probeInterval: 10 });
+      const published = resolver.publish('peer.local', ['192.168.1.50', 'fe80::50']);
+      resolver.start();
+
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+      await published;
+
+      expect(respondSpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          answers: [
+            { name: 'peer.local', type: 'A', data: '192.168.1.50', flush: true, ttl: 60 },
+            { name: 'peer.local', type: 'AAAA', data: 'fe80::50', flush: true, ttl: 60 }
+          ]
+        })
+      );
+    });
+
+    test('should announce when publishing on a running resolver', () => {
+      resolver.start();
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+
+      resolver.publish('peer.local', '192.168.1.50');
+
+      expect(respondSpy).toHaveBeenCalledTimes(1);
+      expect(respondSpy.mock.calls[0][0].answers[0].data).toBe('192.168.1.50');
+    });
+  });
+
+  describe('answering queries', () => {
+    beforeEach(async () => {
+      resolver.start();
+      await resolver.publish('peer.local', ['192.168.1.50', 'fe80::50']);
+    });
+
+    test('should answer A questions for published names', () => {
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+
+      resolver.mdns.emit('query', {
+        questions: [{ name: 'Peer.local', type: 'A' }]
+      }, { address: '192.168.1.2', port: 5353 });
+
+      expect(respondSpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.50', flush: true, ttl: 60 }],
+          additionals: [{ name: 'peer.local', type: 'AAAA', data: 'fe80::50', flush: true, ttl: 60 }]
+        })
+      );
+    });
+
+    test('should answer ANY questions with every record', () => {
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+
+      resolver.mdns.emit('query', {
+        questions: [{ name: 'peer.local', type: 'ANY' }]
+      }, { address: '192.168.1.2', port: 5353 });
+
+      expect(respondSpy.mock.calls[0][0].answers).toHaveLength(2);
+    });
+
+    test('should answer QU questions by unicast', () => {
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+      const rinfo = { address: '192.168.1.2', port: 5353 };
+
+      resolver.mdns.emit('query', {
+        questions: [{ name: 'peer.local', type: 'A', unicastResponse: true }]
+      }, rinfo);
+
+      expect(respondSpy).toHaveBeenCalledWith(expect.objectContaining({ answers: expect.any(Array) }), rinfo);
+    });
+
+    test('should not repeat answers the asker already knows', () => {
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+
+      resolver.mdns.emit('query', {
+        questions: [{ name: 'peer.local', type: 'ANY' }],
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.50', ttl: 45 }]
+      }, { address: '192.168.1.2', port: 5353 });
+
+      expect(respondSpy.mock.calls[0][0].answers).toEqual([
+        { name: 'peer.local', type: 'AAAA', data: 'fe80::50', flush: true, ttl: 60 }
+      ]);
+    });
+
+    test('should repeat known answers with less than half their TTL left', () => {
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+
+      resolver.mdns.emit('query', {
+        questions: [{ name: 'peer.local', type: 'A' }],
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.50', ttl: 20 }]
+      }, { address: '192.168.1.2', port: 5353 });
+
+      expect(respondSpy.mock.calls[0][0].answers).toHaveLength(1);
+    });
+
+    test('should wait for the rest of the known answers of a truncated query', async () => {
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+      const rinfo = { address: '192.168.1.2', port: 5353 };
+
+      resolver.mdns.emit('query', {
+        flags: packet.TRUNCATED_RESPONSE,
+        questions: [{ name: 'peer.local', type: 'ANY' }],
+        answers: []
+      }, rinfo);
+      resolver.mdns.emit('query', {
+        questions: [],
+        answers: [{ name: 'peer.local', type: 'AAAA', data: 'fe80::50', ttl: 60 }]
+      }, rinfo);
+
+      expect(respondSpy).not.toHaveBeenCalled();
+      await new Promise((resolve) => setTimeout(resolve, 550));
+
+      expect(respondSpy).toHaveBeenCalledTimes(1);
+      expect(respondSpy.mock.calls[0][0].answers.map((answer) => answer.type)).toEqual(['A']);
+    });
+
+    test('should ignore questions for other names', () => {
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+
+      resolver.mdns.emit('query', {
+        questions: [{ name: 'other.local', type: 'A' }]
+      }, { address: '192.168.1.2', port: 5353 });
+
+      expect(respondSpy).not.toHaveBeenCalled();
+    });
+
+    test('should let the resolver resolve its own published names', async () => {
+      // The fake socket does not loop packets back, so route responses by hand
+      jest.spyOn(resolver.mdns, 'respond').mockImplementation((response, cb) => {
+        resolver._handleResponse(response);
+        if (cb) cb();
+      });
+
+      const promise = resolver.resolve('peer.local');
+      resolver.mdns.emit('query', { questions: [{ name: 'peer.local', type: 'A' }] }, {});
+
+      await expect(promise).resolves.toBe('192.168.1.50');
+    });
+  });
+
+  describe('goodbye packets', () => {
+    beforeEach(async () => {
+      resolver.start();
+      await resolver.publish('peer.local', '192.168.1.50');
+    });
+
+    test('should send a goodbye packet on unpublish', async () => {
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+
+      await resolver.unpublish('peer.local');
+
+      expect(respondSpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.50', flush: true, ttl: 0 }]
+        }),
+        expect.any(Function)
+      );
+      expect(resolver.responder.getPublished()).toEqual([]);
+    });
+
+    test('should send goodbye packets on stop', async () => {
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+
+      await resolver.stop();
+
+      expect(respondSpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.50', flush: true, ttl: 0 }]
+        }),
+        expect.any(Function)
+      );
+    });
+
+    test('should stop answering after unpublish', async () => {
+      await resolver.unpublish('peer.local');
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+
+      resolver.mdns.emit('query', {
+        questions: [{ name: 'peer.local', type: 'A' }]
+      }, { address: '192.168.1.2', port: 5353 });
+
+      expect(respondSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('probing', () => {
+    const rinfo = { address: '192.168.1.99', port: 5353 };
+
+    beforeEach(() => {
+      resolver = new MDNSResolver({ ttl: 60, probeInterval: 10 });
+      resolver.start();
+    });
+
+    test('should send three probes before announcing', async () => {
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+
+      const published = resolver.publish('peer.local', '192.168.1.50');
+      expect(respondSpy).not.toHaveBeenCalled();
+
+      await expect(published).resolves.toBe('peer.local');
+      expect(querySpy).toHaveBeenCalledTimes(3);
+      expect(querySpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          questions: [{ name: 'peer.local', type: 'ANY' }],
+          authorities: [{ name: 'peer.local', type: 'A', data: '192.168.1.50', flush: false, ttl: 60 }]
+        })
+      );
+      expect(respondSpy).toHaveBeenCalled();
+    });
+
+    test('should not answer queries while probing', () => {
+      resolver.publish('peer.local', '192.168.1.50').catch(() => {});
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+
+      resolver.mdns.emit('query', { questions: [{ name: 'peer.local', type: 'A' }] }, rinfo);
+
+      expect(respondSpy).not.toHaveBeenCalled();
+    });
+
+    test('should emit conflict and reject when another host answers', async () => {
+      const conflicts = [];
+      resolver.on('conflict', (info) => conflicts.push(info));
+
+      const published = resolver.publish('peer.local', '192.168.1.50');
+      resolver.mdns.emit('response', {
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.99', ttl: 120 }]
+      }, rinfo);
+
+      await expect(published).rejects.toThrow('Name conflict for peer.local');
+      expect(conflicts).toEqual([{
+        name: 'peer.local',
+        records: [{ name: 'peer.local', type: 'A', data: '192.168.1.99', ttl: 120 }],
+        renamed: null
+      }]);
+      expect(resolver.responder.getPublished()).toEqual([]);
+    });
+
+    test('should rename automatically on conflict', async () => {
+      const conflicts = [];
+      resolver.on('conflict', (info) => conflicts.push(info));
+
+      const published = resolver.publish('peer.local', '192.168.1.50', { rename: true });
+      resolver.mdns.emit('response', {
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.99', ttl: 120 }]
+      }, rinfo);
+
+      await expect(published).resolves.toBe('peer-2.local');
+      expect(conflicts[0].renamed).toBe('peer-2.local');
+      expect(resolver.responder.getPublished()).toEqual(['peer-2.local']);
+    });
+
+    test('should ignore answers that match our own records', async () => {
+      const published = resolver.publish('peer.local', '192.168.1.50');
+      resolver.mdns.emit('response', {
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.50', ttl: 60 }]
+      }, rinfo);
+
+      await expect(published).resolves.toBe('peer.local');
+    });
+
+    test('should ignore our own probes looped back', async () => {
+      const deferred = jest.fn();
+      resolver.responder.on('probe-deferred', deferred);
+
+      const published = resolver.publish('peer.local', '192.168.1.50');
+      resolver.mdns.emit('query', {
+        questions: [{ name: 'peer.local', type: 'ANY' }],
+        authorities: [{ name: 'peer.local', type: 'A', data: '192.168.1.50', ttl: 60 }]
+      }, rinfo);
+
+      await expect(published).resolves.toBe('peer.local');
+      expect(deferred).not.toHaveBeenCalled();
+    });
+
+    test('should win a simultaneous probe with lexicographically later records', async () => {
+      const deferred = jest.fn();
+      resolver.responder.on('probe-deferred', deferred);
+
+      const published = resolver.publish('peer.local', '192.168.1.50');
+      resolver.mdns.emit('query', {
+        questions: [{ name: 'peer.local', type: 'ANY' }],
+        authorities: [{ name: 'peer.local', type: 'A', data: '192.168.1.10', ttl: 120 }]
+      }, rinfo);
+
+      await expect(published).resolves.toBe('peer.local');
+      expect(deferred).not.toHaveBeenCalled();
+    });
+
+    test('should defer when losing a simultaneous probe', async () => {
+      const deferred = jest.fn();
+      resolver.responder.on('probe-deferred', deferred);
+
+      resolver.publish('peer.local', '192.168.1.50').catch(() => {});
+      resolver.mdns.emit('query', {
+        questions: [{ name: 'peer.local', type: 'ANY' }],
+        authorities: [{ name: 'peer.local', type: 'A', data: '192.168.1.99', ttl: 120 }]
+      }, rinfo);
+
+      expect(deferred).toHaveBeenCalledWith({ name: 'peer.local' });
+      expect(resolver.responder.registrations.get('peer.local').state).toBe('pending');
+    });
+
+    test('should handle conflicts after the name was announced', async () => {
+      await resolver.publish('peer.local', '192.168.1.50');
+      const unpublished = jest.fn();
+      resolver.on('unpublished', unpublished);
+
+      resolver.mdns.emit('response', {
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.99', ttl: 120 }]
+      }, rinfo);
+
+      expect(unpublished).toHaveBeenCalledWith({ name: 'peer.local' });
+      expect(resolver.responder.getPublished()).toEqual([]);
+    });
+
+    test('should not treat goodbye packets as conflicts', async () => {
+      const published = resolver.publish('peer.local', '192.168.1.50');
+      resolver.mdns.emit('response', {
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.99', ttl: 0 }]
+      }, rinfo);
+
+      await expect(published).resolves.toBe('peer.local');
+    });
+  });
+
+  describe('advertise()', () => {
+    const rinfo = { address: '192.168.1.99', port: 5353 };
+    const service = {
+      name: 'Signaling',
+      type: '_peerpigeon._udp',
+      port: 3000,
+      host: 'peer.local',
+      txt: { version: '1', secure: true }
+    };
+
+    beforeEach(async () => {
+      resolver.start();
+      await resolver.publish('peer.local', '192.168.1.50');
+    });
+
+    test('should validate the service description', async () => {
+      await expect(resolver.advertise({ type: '_http._tcp', port: 80 })).rejects.toThrow(
+        'Service name is required'
+      );
+      await expect(resolver.advertise({ name: 'Web', type: 'http', port: 80 })).rejects.toThrow(
+        'Invalid service type: http'
+      );
+      await expect(resolver.advertise({ name: 'Web', type: '_http._tcp', port: 70000 })).rejects.toThrow(
+        'Invalid port for Web: 70000'
+      );
+    });
+
+    test('should announce PTR, SRV, TXT and enumeration records', async () => {
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+
+      const advertised = await resolver.advertise(service);
+
+      expect(advertised).toEqual(expect.objectContaining({
+        name: 'Signaling',
+        fqdn: 'Signaling._peerpigeon._udp.local',
+        type: '_peerpigeon._udp.local',
+        host: 'peer.local',
+        port: 3000,
+        txt: { version: '1', secure: true }
+      }));
+      expect(respondSpy.mock.calls[0][0].answers).toEqual([
+        { name: '_peerpigeon._udp.local', type: 'PTR', data: 'Signaling._peerpigeon._udp.local', flush: false, ttl: 60 },
+        { name: '_services._dns-sd._udp.local', type: 'PTR', data: '_peerpigeon._udp.local', flush: false, ttl: 60 },
+        {
+          name: 'Signaling._peerpigeon._udp.local',
+          type: 'SRV',
+          data: { priority: 0, weight: 0, port: 3000, target: 'peer.local' },
+          flush: true,
+          ttl: 60
+        },
+        { name: 'Signaling._peerpigeon._udp.local', type: 'TXT', data: ['version=1', 'secure'], flush: true, ttl: 60 }
+      ]);
+    });
+
+    test('should emit advertised event', async () => {
+      const advertised = jest.fn();
+      resolver.on('advertised', advertised);
+
+      await resolver.advertise(service);
+
+      expect(advertised).toHaveBeenCalledWith(expect.objectContaining({
+        fqdn: 'Signaling._peerpigeon._udp.local'
+      }));
+    });
+
+    test('should answer PTR queries with SRV, TXT and addresses as additionals', async () => {
+      await resolver.advertise(service);
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+
+      resolver.mdns.emit('query', {
+        questions: [{ name: '_peerpigeon._udp.local', type: 'PTR' }]
+      }, rinfo);
+
+      const response = respondSpy.mock.calls[0][0];
+      expect(response.answers.map((record) => record.type)).toEqual(['PTR']);
+      expect(response.additionals.map((record) => record.type)).toEqual(['SRV', 'TXT', 'A']);
+    });
+
+    test('should answer service enumeration queries', async () => {
+      await resolver.advertise(service);
+      await resolver.advertise({ ...service, name: 'Second' });
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+
+      resolver.mdns.emit('query', {
+        questions: [{ name: '_services._dns-sd._udp.local', type: 'PTR' }]
+      }, rinfo);
+
+      // Both services share a single enumeration record
+      expect(respondSpy.mock.calls[0][0].answers).toEqual([
+        expect.objectContaining({ type: 'PTR', data: '_peerpigeon._udp.local' })
+      ]);
+    });
+
+    test('should rename the instance on conflict', async () => {
+      resolver.responder.options.probe = true;
+      resolver.responder.options.probeInterval = 10;
+
+      const advertising = resolver.advertise(service);
+      resolver.mdns.emit('response', {
+        answers: [{
+          name: 'Signaling._peerpigeon._udp.local',
+          type: 'SRV',
+          data: { priority: 0, weight: 0, port: 4000, target: 'other.local' },
+          ttl: 120
+        }]
+      }, rinfo);
+
+      const advertised = await advertising;
+      expect(advertised.name).toBe('Signaling (2)');
+      expect(advertised.fqdn).toBe('Signaling (2)._peerpigeon._udp.local');
+    });
+
+    test('should re-announce records on TXT updates', async () => {
+      const advertised = await resolver.advertise(service);
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+
+      const updated = advertised.updateTxt({ version: '2' });
+
+      expect(updated.txt).toEqual({ version: '2' });
+      expect(respondSpy.mock.calls[0][0].answers).toContainEqual(
+        expect.objectContaining({ type: 'TXT', data: ['version=2'] })
+      );
+    });
+
+    test('should keep shared records when one of several services stops', async () => {
+      const first = await resolver.advertise(service);
+      await resolver.advertise({ ...service, name: 'Second' });
+      const respondSpy = jest.spyOn(resolver.mdns, 'respond');
+
+      await first.stop();
+
+      const goodbye = respondSpy.mock.calls[0][0].answers;
+      expect(goodbye.every((record) => record.ttl === 0)).toBe(true);
+      expect(goodbye.map((record) => record.type)).toEqual(['PTR', 'SRV', 'TXT']);
+      expect(resolver.responder.getPublished()).toEqual(['peer.local', 'Second._peerpigeon._udp.local']);
+    });
+
+    test('should target this machine\'s hostname without publishing it', async () => {
+      const advertised = await resolver.advertise({ name: 'Web', type: '_http._tcp', port: 80 });
+
+      expect(advertised.host).toMatch(/\.local$/);
+      expect(resolver.responder.getPublished()).not.toContain(advertised.host);
+    });
+
+    test('should publish the target hostname when asked to', async () => {
+      const advertised = await resolver.advertise({ name: 'Web', type: '_http._tcp', port: 80, publishHost: true });
+
+      expect(resolver.responder.getPublished()).toContain(advertised.host);
+    });
+  });
+});
@@ -0,0 +1,296 @@
+const EventEmitter = require('events');
+const http = require('http');
+const MDNSServer = require('../src/server');
+
+/**
+ * Minimal stand-ins for http.IncomingMessage / http.ServerResponse
+ */
+function request(method, path) {
+  return { method, url: path, headers: { host: 'localhost:5380' } };
+}
+
+function response() {
+  return new Promise((resolve) => {
+    const res = {
+      headers: {},
+      setHeader: (name, value) => { res.headers[name] = value; },
+      writeHead: (statusCode, headers) => {
+        res.statusCode = statusCode;
+        Object.assign(res.headers, headers);
+      },
+      end: (body) => {
+        res.body = body ? JSON.parse(body) : undefined;
+        resolve(res);
+      }
+    };
+    response.current = res;
+  });
+}
+
+describe('MDNSServer', () => {
+  let server;
+
+  async function get(path) {
+    const done = response();
+    server._handleRequest(request('GET', path), response.current);
+    return done;
+  }
+
+  beforeEach(() => {
+    server = new MDNSServer({ timeout: 100 });
+    server.resolver.start();
+  });
+
+  afterEach(async () => {
+    await server.resolver.stop();
+  });
+
+  describe('/resolve', () => {
+    test('should require a name', async () => {
+      const res = await get('/resolve');
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Missing required parameter: name or hostname');
+    });
+
+    test('should reject unsupported record types', async () => {
+      const res = await get('/resolve?name=test&type=MX');
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe(
+        'Unsupported record type: MX. Supported types: A, AAAA, TXT, SRV, PTR, HINFO, ANY'
+      );
+    });
+
+    test('should return addresses for A queries', async () => {
+      server.resolver._handleResponse({
+        answers: [{ name: 'test.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+
+      const res = await get('/resolve?name=test');
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ hostname: 'test.local', type: 'A', address: '192.168.1.100' });
+    });
+
+    test('should return structured data for other types', async () => {
+      server.resolver._handleResponse({
+        answers: [{
+          name: 'web._http._tcp.local',
+          type: 'SRV',
+          data: { priority: 0, weight: 0, port: 80, target: 'web.local' },
+          ttl: 120
+        }]
+      });
+
+      const res = await get('/resolve?name=web._http._tcp.local&type=srv');
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({
+        hostname: 'web._http._tcp.local',
+        type: 'SRV',
+        data: { priority: 0, weight: 0, port: 80, target: 'web.local' }
+      });
+    });
+
+    test('should report timeouts as 504', async () => {
+      const res = await get('/resolve?name=missing.local');
+      expect(res.statusCode).toBe(504);
+      expect(res.body.error).toBe('Timeout resolving missing.local');
+      expect(res.body.code).toBe('ETIMEOUT');
+    });
+
+    test('should report invalid names as 400', async () => {
+      const res = await get('/resolve?name=a..b');
+      expect(res.statusCode).toBe(400);
+      expect(res.body.code).toBe('EINVALIDNAME');
+    });
+
+    test('should report a resolver that is not running as 503', async () => {
+      await server.resolver.stop();
+
+      const res = await get('/resolve?name=peer.local');
+      expect(res.statusCode).toBe(503);
+      expect(res.body.code).toBe('ENOTRUNNING');
+    });
+
+    test('should report lookups cut short by stop() as 503', async () => {
+      const pending = get('/resolve?name=peer.local');
+      await server.resolver.stop();
+
+      const res = await pending;
+      expect(res.statusCode).toBe(503);
+      expect(res.body).toEqual({ error: 'Resolver stopped', statusCode: 503, code: 'ESTOPPED' });
+    });
+
+    test('should report negative cache hits as 404 with an error code', async () => {
+      server.resolver.options.negativeTtl = 30;
+      await get('/resolve?name=missing.local');
+
+      const res = await get('/resolve?name=missing.local');
+      expect(res.statusCode).toBe(404);
+      expect(res.body).toEqual({
+        error: 'No A record found for missing.local',
+        statusCode: 404,
+        code: 'ENOTFOUND'
+      });
+    });
+  });
+
+  describe('/subscribe', () => {
+    function subscribe(path) {
+      const req = new EventEmitter();
+      Object.assign(req, request('GET', path));
+      const res = {
+        chunks: [],
+        setHeader: () => {},
+        writeHead: (statusCode, headers) => {
+          res.statusCode = statusCode;
+          res.headers = headers;
+        },
+        write: (chunk) => res.chunks.push(chunk),
+        end: (body) => {
+          res.ended = true;
+          res.body = body ? JSON.parse(body) : undefined;
+        }
+      };
+      server._handleRequest(req, res);
+      return { req, res };
+    }
+
+    test('should require a name', () => {
+      const { res } = subscribe('/subscribe');
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Missing required parameter: name or hostname');
+    });
+
+    test('should reject invalid names', () => {
+      const { res } = subscribe(`/subscribe?name=${'x'.repeat(64)}`);
+      expect(res.statusCode).toBe(400);
+      expect(res.body.code).toBe('EINVALIDNAME');
+    });
+
+    test('should reject ANY', () => {
+      const { res } = subscribe('/subscribe?name=peer&type=ANY');
+      expect(res.statusCode).toBe(400);
+    });
+
+    test('should stream changes as Server-Sent Events', async () => {
+      const { res } = subscribe('/subscribe?name=peer');
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['Content-Type']).toBe('text/event-stream');
+
+      server.resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+      server.resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 0 }]
+      });
+
+      expect(res.chunks).toHaveLength(3);
+      // A comment first, so the headers go out before any event
+      expect(res.chunks[0]).toMatch(/^:.*\n\n$/);
+      expect(res.chunks[1]).toMatch(/^event: changed\ndata: \{.*"address":"192\.168\.1\.100".*\}\n\n$/);
+      expect(res.chunks[2]).toMatch(/^event: lost\n/);
+    });
+
+    test('should stream the new address when a cache-flush answer moves the host', () => {
+      const { res } = subscribe('/subscribe?name=peer');
+
+      server.resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+      server.resolver.cache.peek('peer.local:A').records[0].received -= 2000;
+      server.resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.101', ttl: 120, flush: true }]
+      });
+
+      expect(res.chunks).toHaveLength(3);
+      const event = JSON.parse(res.chunks[2].match(/^event: changed\ndata: (.*)\n\n$/)[1]);
+      expect(event).toEqual(expect.objectContaining({
+        address: '192.168.1.101',
+        previous: '192.168.1.100'
+      }));
+    });
+
+    test('should stop the subscription when the client disconnects', () => {
+      const { req, res } = subscribe('/subscribe?name=peer');
+      expect(server.resolver.watchers.size).toBe(1);
+
+      req.emit('close');
+
+      expect(server.resolver.watchers.size).toBe(0);
+      expect(res.ended).toBe(true);
+    });
+
+    test('should send headers at once and not hold up stop() over a real socket', async () => {
+      const real = new MDNSServer({ host: '127.0.0.1', timeout: 100, probe: false });
+      await real.start();
+      const port = real.server.address().port;
+
+      const res = await new Promise((resolve, reject) => {
+        const req = http.get(`http://127.0.0.1:${port}/subscribe?name=peer`, resolve);
+        req.on('error', reject);
+        // No event is due, so only the opening comment can get the headers out
+        req.setTimeout(1000, () => req.destroy(new Error('No headers')));
+      });
+      expect(res.statusCode).toBe(200);
+      const ended = new Promise((resolve) => res.on('end', resolve).resume());
+
+      await real.stop();
+      await ended;
+      expect(real.resolver.watchers.size).toBe(0);
+    });
+  });
+
+  describe('/reverse', () => {
+    test('should require an IP address', async () => {
+      const res = await get('/reverse');
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Missing required parameter: ip');
+    });
+
+    test('should reject invalid IP addresses', async () => {
+      const res = await get('/reverse?ip=nope');
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe('Invalid IP address: nope');
+    });
+
+    test('should return the hostnames of an address', async () => {
+      server.resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+
+      const res = await get('/reverse?ip=192.168.1.100');
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ ip: '192.168.1.100', hostnames: ['peer.local'] });
+    });
+  });
+
+  describe('other endpoints', () => {
+    test('should report cache contents on /health', async () => {
+      server.resolver._handleResponse({
+        answers: [{ name: 'test.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+
+      const res = await get('/health');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.status).toBe('ok');
+      expect(res.body.cache.size).toBe(1);
+    });
+
+    test('should describe the API on /', async () => {
+      const res = await get('/');
+      expect(res.statusCode).toBe(200);
+      expect(res.body.endpoints['/resolve']).toBeTruthy();
+    });
+
+    test('should return 404 for unknown paths', async () => {
+      const res = await get('/nope');
+      expect(res.statusCode).toBe(404);
+    });
+
+    test('should reject non-GET methods', async () => {
+      const done = response();
+      server._handleRequest(request('DELETE', '/resolve'), response.current);
+      const res = await done;
+      expect(res.statusCode).toBe(405);
+    });
+  });
+});
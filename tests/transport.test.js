@@ -0,0 +1,389 @@
+const os = require('os');
+
+jest.mock('multicast-dns', () => jest.fn((options) => {
+  const instance = new (require('events'))();
+  instance.options = options;
+  instance.query = jest.fn((query, cb) => cb && cb());
+  instance.respond = jest.fn((response, rinfo, cb) => cb && cb());
+  instance.send = jest.fn((packet, rinfo, cb) => cb && cb());
+  instance.destroy = jest.fn((cb) => cb && cb());
+  return instance;
+}));
+
+const mdns = require('multicast-dns');
+const packet = require('dns-packet');
+const Transport = require('../src/transport');
+const { resolveInterfaces, interfaceFor } = require('../src/interfaces');
+
+const NETWORK_INTERFACES = {
+  lo: [
+    { address: '127.0.0.1', netmask: '255.0.0.0', family: 'IPv4', internal: true, cidr: '127.0.0.1/8' }
+  ],
+  eth0: [
+    { address: '192.168.1.10', netmask: '255.255.255.0', family: 'IPv4', internal: false, cidr: '192.168.1.10/24' },
+    { address: 'fe80::1', netmask: 'ffff:ffff:ffff:ffff::', family: 'IPv6', internal: false, cidr: 'fe80::1/64' }
+  ],
+  docker0: [
+    { address: '172.17.0.1', netmask: '255.255.0.0', family: 'IPv4', internal: false, cidr: '172.17.0.1/16' }
+  ]
+};
+
+describe('interfaces', () => {
+  beforeEach(() => {
+    jest.spyOn(os, 'networkInterfaces').mockReturnValue(NETWORK_INTERFACES);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should resolve interface names to their IPv4 address', () => {
+    expect(resolveInterfaces(['eth0']).map((iface) => iface.address)).toEqual(['192.168.1.10']);
+  });
+
+  test('should resolve local addresses to their interface', () => {
+    expect(resolveInterfaces(['172.17.0.1'])[0].name).toBe('docker0');
+  });
+
+  test('should resolve interface names to their IPv6 address', () => {
+    expect(resolveInterfaces(['eth0'], 6).map((iface) => iface.address)).toEqual(['fe80::1']);
+    expect(resolveInterfaces(['docker0'], 6)).toEqual([]);
+  });
+
+  test('should reject unknown interfaces', () => {
+    expect(() => resolveInterfaces(['wlan0'])).toThrow('Unknown network interface: wlan0');
+    expect(() => resolveInterfaces(['10.9.9.9'])).toThrow('Unknown network interface: 10.9.9.9');
+  });
+
+  test('should find the interface whose subnet contains an address', () => {
+    expect(interfaceFor('192.168.1.77').name).toBe('eth0');
+    expect(interfaceFor('172.17.5.2').name).toBe('docker0');
+    expect(interfaceFor('fe80::abcd%eth0').name).toBe('eth0');
+    expect(interfaceFor('10.0.0.1')).toBeNull();
+  });
+});
+
+describe('Transport', () => {
+  beforeEach(() => {
+    jest.spyOn(os, 'networkInterfaces').mockReturnValue(NETWORK_INTERFACES);
+    mdns.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const instances = () => mdns.mock.results.map((result) => result.value);
+
+  describe('default interface', () => {
+    test('should open a single socket with default options', () => {
+      new Transport();
+
+      expect(mdns).toHaveBeenCalledTimes(1);
+      expect(mdns).toHaveBeenCalledWith({ socket: expect.any(Object) });
+    });
+
+    test('should pass the multicast group address on', () => {
+      new Transport({ ip: '224.0.0.252' });
+
+      expect(mdns).toHaveBeenCalledWith({ ip: '224.0.0.252', socket: expect.any(Object) });
+    });
+
+    test('should tag packets with the interface of the sender subnet', () => {
+      const transport = new Transport();
+      const response = jest.fn();
+      transport.on('response', response);
+
+      instances()[0].emit('response', { answers: [] }, { address: '172.17.0.5', port: 5353 });
+      instances()[0].emit('response', { answers: [] }, { address: '10.0.0.5', port: 5353 });
+
+      expect(response.mock.calls[0][1]).toEqual({ address: '172.17.0.5', port: 5353, interface: 'docker0', unicast: false });
+      expect(response.mock.calls[1][1].interface).toBeNull();
+    });
+
+    test('should not read the interfaces for every packet', () => {
+      const transport = new Transport();
+      const response = jest.fn();
+      transport.on('response', response);
+      os.networkInterfaces.mockClear();
+
+      for (let i = 0; i < 10; i++) {
+        instances()[0].emit('response', { answers: [] }, { address: '192.168.1.77', port: 5353 });
+      }
+
+      expect(os.networkInterfaces.mock.calls.length).toBeLessThanOrEqual(1);
+      expect(response.mock.calls.every((call) => call[1].interface === 'eth0')).toBe(true);
+    });
+  });
+
+  describe('selected interfaces', () => {
+    let transport;
+
+    beforeEach(() => {
+      transport = new Transport({ interfaces: ['eth0', 'docker0'] });
+    });
+
+    test('should open one socket per interface', () => {
+      expect(mdns).toHaveBeenCalledTimes(2);
+      expect(mdns).toHaveBeenCalledWith({ interface: '192.168.1.10', bind: '0.0.0.0', socket: expect.any(Object) });
+      expect(mdns).toHaveBeenCalledWith({ interface: '172.17.0.1', bind: '0.0.0.0', socket: expect.any(Object) });
+    });
+
+    test('should send queries on every socket', (done) => {
+      transport.query({ questions: [{ name: 'peer.local', type: 'A' }] }, () => {
+        for (const instance of instances()) {
+          expect(instance.query).toHaveBeenCalledTimes(1);
+        }
+        done();
+      });
+    });
+
+    test('should send unicast responses on the interface of the asker', () => {
+      transport.respond({ answers: [] }, { address: '172.17.0.5', port: 5353, interface: 'docker0' });
+
+      expect(instances()[0].respond).not.toHaveBeenCalled();
+      expect(instances()[1].respond).toHaveBeenCalledTimes(1);
+    });
+
+    test('should pass each packet on once, tagged with its interface', () => {
+      const response = jest.fn();
+      transport.on('response', response);
+
+      // Every socket sees every packet
+      for (const instance of instances()) {
+        instance.emit('response', { answers: [] }, { address: '172.17.0.5', port: 5353 });
+      }
+
+      expect(response).toHaveBeenCalledTimes(1);
+      expect(response.mock.calls[0][1].interface).toBe('docker0');
+    });
+
+    test('should leave senders outside every subnet to the first socket', () => {
+      const query = jest.fn();
+      transport.on('query', query);
+
+      for (const instance of instances()) {
+        instance.emit('query', { questions: [] }, { address: '169.254.3.3', port: 5353 });
+      }
+
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(query.mock.calls[0][1].interface).toBe('eth0');
+    });
+
+    test('should forward socket errors', () => {
+      const error = jest.fn();
+      transport.on('error', error);
+
+      instances()[1].emit('error', new Error('EADDRINUSE'));
+
+      expect(error).toHaveBeenCalledWith(expect.any(Error));
+    });
+
+    test('should close every socket on destroy', (done) => {
+      transport.destroy(() => {
+        for (const instance of instances()) {
+          expect(instance.destroy).toHaveBeenCalled();
+        }
+        done();
+      });
+    });
+  });
+
+  describe('address families', () => {
+    test('should reject unknown families', () => {
+      expect(() => new Transport({ family: 5 })).toThrow('Invalid address family: 5');
+    });
+
+    test('should open an IPv6 socket per interface with an IPv6 address', () => {
+      new Transport({ family: 6 });
+
+      expect(mdns).toHaveBeenCalledTimes(1);
+      expect(mdns).toHaveBeenCalledWith({ type: 'udp6', ip: 'ff02::fb', interface: '::%eth0', bind: '::', socket: expect.any(Object) });
+    });
+
+    test('should fail when no selected interface has an address of the family', () => {
+      expect(() => new Transport({ family: 6, interfaces: ['docker0'] }))
+        .toThrow('No network interface available for IPv6');
+      expect(mdns).not.toHaveBeenCalled();
+    });
+
+    describe('dual stack', () => {
+      let transport;
+
+      beforeEach(() => {
+        transport = new Transport({ family: 'dual' });
+      });
+
+      test('should open IPv4 and IPv6 sockets', () => {
+        expect(mdns).toHaveBeenCalledTimes(2);
+        expect(mdns).toHaveBeenCalledWith({ socket: expect.any(Object) });
+        expect(mdns).toHaveBeenCalledWith({ type: 'udp6', ip: 'ff02::fb', interface: '::%eth0', bind: '::', socket: expect.any(Object) });
+      });
+
+      test('should send queries to both groups', (done) => {
+        transport.query({ questions: [{ name: 'peer.local', type: 'AAAA' }] }, () => {
+          expect(instances()[0].query).toHaveBeenCalledTimes(1);
+          expect(instances()[1].query).toHaveBeenCalledTimes(1);
+          done();
+        });
+      });
+
+      test('should pass on packets from both groups', () => {
+        const response = jest.fn();
+        transport.on('response', response);
+
+        instances()[0].emit('response', { answers: [] }, { address: '192.168.1.20', port: 5353 });
+        instances()[1].emit('response', { answers: [] }, { address: 'fe80::2%eth0', port: 5353 });
+
+        expect(response).toHaveBeenCalledTimes(2);
+        expect(response.mock.calls.map((call) => call[1].interface)).toEqual(['eth0', 'eth0']);
+      });
+
+      test('should send unicast responses on the socket of the asker family', () => {
+        transport.respond({ answers: [] }, { address: 'fe80::2%eth0', port: 5353, interface: 'eth0' });
+
+        expect(instances()[0].respond).not.toHaveBeenCalled();
+        expect(instances()[1].respond).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+
+  describe('unicast responses', () => {
+    test('should send QU questions with the top bit of the class set', (done) => {
+      const socket = Object.assign(new (require('events'))(), {
+        send: jest.fn((message, offset, length, port, address, cb) => cb())
+      });
+      const transport = new Transport({ mdns: { socket, bind: false } });
+
+      transport.query({
+        questions: [
+          { name: 'peer.local', type: 'A', unicastResponse: true },
+          { name: 'other.local', type: 'AAAA' }
+        ]
+      }, () => {
+        const [message, , , port, address] = socket.send.mock.calls[0];
+        expect([address, port]).toEqual(['224.0.0.251', 5353]);
+        const classes = [
+          message.readUInt16BE(12 + packet.question.encodingLength({ name: 'peer.local', type: 'A' }) - 2),
+          message.readUInt16BE(message.length - 2)
+        ];
+        expect(classes).toEqual([0x8001, 0x0001]);
+        expect(instances()[0].query).not.toHaveBeenCalled();
+        done();
+      });
+    });
+
+    test('should leave dns-packet\'s class encoding alone', () => {
+      new Transport();
+      expect(require('dns-packet/classes').toClass('UNKNOWN_5')).toBe(0);
+    });
+
+    test('should decode incoming QU questions', () => {
+      const transport = new Transport();
+      const query = jest.fn();
+      transport.on('query', query);
+
+      const encoded = packet.encode({ type: 'query', questions: [{ name: 'peer.local', type: 'A' }] });
+      encoded.writeUInt16BE(0x8001, encoded.length - 2);
+      instances()[0].emit('query', packet.decode(encoded), { address: '192.168.1.20', port: 5353 });
+
+      expect(query.mock.calls[0][0].questions).toEqual([
+        { name: 'peer.local', type: 'A', class: 'IN', unicastResponse: true }
+      ]);
+    });
+
+    test('should not listen for unicast replies by default', () => {
+      new Transport({ interfaces: ['eth0'] });
+
+      expect(mdns).toHaveBeenCalledTimes(1);
+    });
+
+    describe('with unicast listeners', () => {
+      let transport;
+
+      beforeEach(() => {
+        transport = new Transport({ interfaces: ['eth0', 'docker0'], unicast: true });
+      });
+
+      test('should bind a listener to each interface address', () => {
+        expect(mdns).toHaveBeenCalledTimes(4);
+        expect(mdns).toHaveBeenCalledWith({ multicast: false, bind: '192.168.1.10' });
+        expect(mdns).toHaveBeenCalledWith({ multicast: false, bind: '172.17.0.1' });
+      });
+
+      test('should tag packets arriving on a listener as unicast', () => {
+        const response = jest.fn();
+        transport.on('response', response);
+
+        instances()[3].emit('response', { answers: [] }, { address: '172.17.0.5', port: 5353 });
+
+        expect(response.mock.calls[0][1]).toEqual({
+          address: '172.17.0.5', port: 5353, interface: 'docker0', unicast: true
+        });
+      });
+
+      test('should not send on listeners', (done) => {
+        transport.query({ questions: [{ name: 'peer.local', type: 'A' }] }, () => {
+          expect(instances()[2].query).not.toHaveBeenCalled();
+          expect(instances()[3].query).not.toHaveBeenCalled();
+          done();
+        });
+      });
+
+      test('should close listeners on destroy', (done) => {
+        transport.destroy(() => {
+          expect(instances()[3].destroy).toHaveBeenCalled();
+          done();
+        });
+      });
+    });
+
+    test('should listen on every external address of the default interface', () => {
+      new Transport({ unicast: true });
+
+      expect(mdns).toHaveBeenCalledWith({ multicast: false, bind: '192.168.1.10' });
+      expect(mdns).toHaveBeenCalledWith({ multicast: false, bind: '172.17.0.1' });
+      expect(mdns).not.toHaveBeenCalledWith(expect.objectContaining({ bind: '127.0.0.1' }));
+    });
+  });
+
+  describe('known answers', () => {
+    const knownAnswers = (count) => Array.from({ length: count }, (_, i) => ({
+      name: '_peerpigeon._udp.local',
+      type: 'PTR',
+      ttl: 4500,
+      data: `peer-${i}._peerpigeon._udp.local`
+    }));
+
+    test('should send known answers that fit in one packet as they are', (done) => {
+      const transport = new Transport();
+      const query = { questions: [{ name: '_peerpigeon._udp.local', type: 'PTR' }], answers: knownAnswers(3) };
+
+      transport.query(query, () => {
+        expect(instances()[0].query).toHaveBeenCalledTimes(1);
+        expect(instances()[0].query.mock.calls[0][0]).toEqual(query);
+        done();
+      });
+    });
+
+    test('should split long known-answer lists with the TC bit', (done) => {
+      const transport = new Transport();
+      const answers = knownAnswers(100);
+
+      transport.query({ questions: [{ name: '_peerpigeon._udp.local', type: 'PTR' }], answers }, () => {
+        const sent = instances()[0].query.mock.calls.map((call) => call[0]);
+
+        expect(sent.length).toBeGreaterThan(1);
+        expect(sent[0].questions).toHaveLength(1);
+        expect(sent.slice(1).every((part) => part.questions.length === 0)).toBe(true);
+        expect(sent.map((part) => Boolean(part.flags & packet.TRUNCATED_RESPONSE)))
+          .toEqual(sent.map((_, i) => i < sent.length - 1));
+        expect(sent.flatMap((part) => part.answers)).toEqual(answers);
+        for (const part of sent) {
+          expect(packet.encodingLength({ type: 'query', ...part })).toBeLessThanOrEqual(1452);
+        }
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,242 @@
+const MDNSResolver = require('../src/resolver');
+
+describe('RecordWatcher', () => {
+  let resolver;
+
+  const a = (address, ttl = 120) => ({ name: 'peer.local', type: 'A', data: address, ttl });
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  beforeEach(() => {
+    resolver = new MDNSResolver({ timeout: 1000, probe: false });
+    resolver.start();
+  });
+
+  afterEach(async () => {
+    if (resolver && resolver.mdns) {
+      await resolver.stop();
+    }
+  });
+
+  describe('watch()', () => {
+    test('should throw error if resolver not started', () => {
+      const stopped = new MDNSResolver();
+      expect(() => stopped.watch('peer.local')).toThrow('Resolver is not running');
+    });
+
+    test('should reject unsupported record types', () => {
+      expect(() => resolver.watch('peer.local', 'ANY')).toThrow('Unsupported record type: ANY');
+    });
+
+    test('should query for a record that is not cached', async () => {
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+      const watcher = resolver.watch('Peer', 'aaaa');
+      await wait(0);
+
+      expect(watcher.name).toBe('peer.local');
+      expect(querySpy).toHaveBeenCalledWith(
+        expect.objectContaining({
+          questions: [{ name: 'peer.local', type: 'AAAA' }]
+        })
+      );
+    });
+
+    test('should stop watchers when the resolver stops', async () => {
+      const watcher = resolver.watch('peer.local');
+      await resolver.stop();
+
+      expect(watcher.running).toBe(false);
+      expect(resolver.watchers.size).toBe(0);
+    });
+  });
+
+  describe('changes', () => {
+    test('should emit changed for a record that is already cached', (done) => {
+      resolver._handleResponse({ answers: [a('192.168.1.100')] });
+      const querySpy = jest.spyOn(resolver.mdns, 'query');
+
+      resolver.watch('peer.local').on('changed', (event) => {
+        expect(event).toEqual({
+          name: 'peer.local',
+          type: 'A',
+          address: '192.168.1.100',
+          data: '192.168.1.100',
+          records: ['192.168.1.100'],
+          previous: null
+        });
+        expect(querySpy).not.toHaveBeenCalled();
+        done();
+      });
+    });
+
+    test('should emit changed when the address changes', async () => {
+      const watcher = resolver.watch('peer.local');
+      const changed = jest.fn();
+      watcher.on('changed', changed);
+
+      resolver._handleResponse({ answers: [a('192.168.1.100')] });
+      resolver._handleResponse({ answers: [a('192.168.1.100', 0), a('192.168.1.101')] });
+
+      expect(changed).toHaveBeenCalledTimes(2);
+      expect(changed.mock.calls[1][0]).toEqual(expect.objectContaining({
+        address: '192.168.1.101',
+        previous: '192.168.1.100'
+      }));
+      expect(watcher.getRecords()).toEqual(['192.168.1.101']);
+    });
+
+    test('should report the new address when a cache-flush answer moves the host', async () => {
+      const watcher = resolver.watch('peer.local');
+      const changed = jest.fn();
+      watcher.on('changed', changed);
+
+      resolver._handleResponse({ answers: [a('192.168.1.100')] });
+      resolver.cache.peek('peer.local:A').records[0].received -= 2000;
+      resolver._handleResponse({ answers: [{ ...a('192.168.1.101'), flush: true }] });
+
+      // The old record stays cached for one more second
+      expect(changed).toHaveBeenCalledTimes(2);
+      expect(changed.mock.calls[1][0]).toEqual(expect.objectContaining({
+        address: '192.168.1.101',
+        previous: '192.168.1.100',
+        records: ['192.168.1.100', '192.168.1.101']
+      }));
+
+      await wait(1100);
+      watcher.stop();
+
+      expect(changed).toHaveBeenCalledTimes(3);
+      expect(changed.mock.calls[2][0]).toEqual(expect.objectContaining({
+        address: '192.168.1.101',
+        previous: '192.168.1.101',
+        records: ['192.168.1.101']
+      }));
+      expect(watcher.getRecords()).toEqual(['192.168.1.101']);
+    });
+
+    test('should not emit changed for a plain refresh', () => {
+      const watcher = resolver.watch('peer.local');
+      const changed = jest.fn();
+      watcher.on('changed', changed);
+
+      resolver._handleResponse({ answers: [a('192.168.1.100')] });
+      resolver._handleResponse({ answers: [a('192.168.1.100')] });
+
+      expect(changed).toHaveBeenCalledTimes(1);
+    });
+
+    test('should emit lost on a goodbye packet', () => {
+      const watcher = resolver.watch('peer.local');
+      const lost = jest.fn();
+      watcher.on('lost', lost);
+
+      resolver._handleResponse({ answers: [a('192.168.1.100')] });
+      resolver._handleResponse({ answers: [a('192.168.1.100', 0)] });
+
+      expect(lost).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'peer.local',
+        address: '192.168.1.100',
+        records: ['192.168.1.100']
+      }));
+      expect(watcher.getRecords()).toEqual([]);
+    });
+  });
+
+  describe('refresh', () => {
+    test('should re-query between 80% and 95% of the TTL', async () => {
+      const watcher = resolver.watch('peer.local');
+      resolver._handleResponse({ answers: [a('192.168.1.100', 1)] });
+
+      const sentAt = [];
+      const start = Date.now();
+      jest.spyOn(resolver.mdns, 'query').mockImplementation(() => sentAt.push(Date.now() - start));
+
+      await wait(990);
+      watcher.stop();
+
+      // 80%, 85%, 90% and 95% of one second, each plus up to 2%
+      expect(sentAt).toHaveLength(4);
+      expect(sentAt[0]).toBeGreaterThanOrEqual(790);
+      expect(sentAt[3]).toBeLessThanOrEqual(990);
+    });
+
+    test('should restart the schedule when a refresh is answered', async () => {
+      const watcher = resolver.watch('peer.local');
+      const querySpy = jest.spyOn(resolver.mdns, 'query').mockImplementation(() => {
+        resolver._handleResponse({ answers: [a('192.168.1.100', 0.5)] });
+      });
+      resolver._handleResponse({ answers: [a('192.168.1.100', 0.5)] });
+
+      await wait(600);
+      watcher.stop();
+
+      // Each answered refresh pushes the next one ~400ms further out
+      expect(querySpy).toHaveBeenCalledTimes(1);
+      expect(watcher.getRecords()).toEqual(['192.168.1.100']);
+    });
+
+    test('should emit lost when the record expires unrefreshed', (done) => {
+      const watcher = resolver.watch('peer.local');
+      jest.spyOn(resolver.mdns, 'query').mockImplementation(() => {});
+
+      watcher.on('lost', ({ address }) => {
+        expect(address).toBe('192.168.1.100');
+        done();
+      });
+
+      resolver._handleResponse({ answers: [a('192.168.1.100', 0.1)] });
+    });
+  });
+
+  describe('subscribe()', () => {
+    test('should query continuously with exponential intervals', async () => {
+      const sentAt = [];
+      const start = Date.now();
+      resolver.mdns.query = () => sentAt.push(Date.now() - start);
+
+      const subscription = resolver.subscribe('peer.local');
+      resolver._handleResponse({ answers: [a('192.168.1.100')] });
+      await wait(1100);
+      subscription.stop();
+
+      // Known records are still queried for: at 0s and 1s, next at 3s
+      expect(sentAt).toHaveLength(2);
+      expect(sentAt[1]).toBeGreaterThanOrEqual(1000);
+      expect(subscription.queryInterval).toBe(4000);
+    });
+
+    test('should yield changes through an async iterator', async () => {
+      const subscription = resolver.subscribe('peer.local');
+      const events = [];
+      const iterating = (async () => {
+        for await (const event of subscription) {
+          events.push([event.event, event.address]);
+        }
+      })();
+
+      resolver._handleResponse({ answers: [a('192.168.1.100')] });
+      resolver._handleResponse({ answers: [a('192.168.1.100', 0), a('192.168.1.101')] });
+      resolver._handleResponse({ answers: [a('192.168.1.101', 0)] });
+      subscription.stop();
+      await iterating;
+
+      expect(events).toEqual([
+        ['changed', '192.168.1.100'],
+        ['changed', '192.168.1.101'],
+        ['lost', '192.168.1.101']
+      ]);
+    });
+
+    test('should stop when the loop is left early', async () => {
+      const subscription = resolver.subscribe('peer.local');
+      setImmediate(() => resolver._handleResponse({ answers: [a('192.168.1.100')] }));
+
+      for await (const event of subscription) {
+        expect(event.address).toBe('192.168.1.100');
+        break;
+      }
+
+      expect(subscription.running).toBe(false);
+      expect(resolver.watchers.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,352 @@
+const http = require('http');
+const net = require('net');
+const WebSocket = require('ws');
+const MDNSServer = require('../src/server');
+
+describe('WebSocketApi', () => {
+  let server;
+  let url;
+  let clients;
+
+  async function connect(path = '/ws') {
+    const ws = new WebSocket(`${url.replace('http', 'ws')}${path}`);
+    clients.push(ws);
+    ws.messages = [];
+    ws.on('message', (data) => ws.messages.push(JSON.parse(data.toString())));
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    });
+    return ws;
+  }
+
+  // The next message matching `predicate`, including ones already received
+  function next(ws, predicate = () => true) {
+    return new Promise((resolve) => {
+      const check = () => {
+        const index = ws.messages.findIndex(predicate);
+        if (index === -1) {
+          return false;
+        }
+        resolve(ws.messages.splice(index, 1)[0]);
+        return true;
+      };
+      if (!check()) {
+        const onMessage = () => {
+          if (check()) {
+            ws.removeListener('message', onMessage);
+          }
+        };
+        ws.on('message', onMessage);
+      }
+    });
+  }
+
+  function request(ws, message) {
+    ws.send(JSON.stringify(message));
+    return next(ws, (reply) => reply.id === message.id);
+  }
+
+  beforeEach(async () => {
+    clients = [];
+    server = new MDNSServer({ port: 0, host: '127.0.0.1', timeout: 100, probe: false });
+    await server.start();
+    url = `http://127.0.0.1:${server.server.address().port}`;
+  });
+
+  afterEach(async () => {
+    for (const ws of clients) {
+      ws.terminate();
+    }
+    await server.stop();
+  });
+
+  describe('resolve', () => {
+    test('should answer with the request id', async () => {
+      server.resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+      const ws = await connect();
+
+      const reply = await request(ws, { op: 'resolve', id: 'r1', name: 'peer' });
+      expect(reply).toEqual({ op: 'result', id: 'r1', hostname: 'peer.local', type: 'A', address: '192.168.1.100' });
+    });
+
+    test('should answer with the /resolve response body', async () => {
+      server.resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+      const ws = await connect();
+
+      const body = await new Promise((resolve, reject) => {
+        http.get(`${url}/resolve?name=Peer`, (res) => {
+          let data = '';
+          res.on('data', (chunk) => { data += chunk; });
+          res.on('end', () => resolve(JSON.parse(data)));
+        }).on('error', reject);
+      });
+      const { op, id, ...reply } = await request(ws, { op: 'resolve', id: 'r1', name: 'Peer' });
+      expect(reply).toEqual(body);
+    });
+
+    test('should answer requests in the order they resolve', async () => {
+      const ws = await connect();
+      ws.send(JSON.stringify({ op: 'resolve', id: 1, name: 'slow.local' }));
+      ws.send(JSON.stringify({ op: 'resolve', id: 2, name: 'fast.local' }));
+
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      server.resolver._handleResponse({
+        answers: [{ name: 'fast.local', type: 'A', data: '192.168.1.2', ttl: 120 }]
+      });
+
+      expect(await next(ws)).toMatchObject({ op: 'result', id: 2, address: '192.168.1.2' });
+      expect(await next(ws)).toMatchObject({ op: 'error', id: 1, statusCode: 504, code: 'ETIMEOUT' });
+    });
+
+    test('should report invalid requests', async () => {
+      const ws = await connect();
+
+      expect(await request(ws, { op: 'resolve', id: 1 })).toMatchObject({
+        op: 'error',
+        statusCode: 400,
+        error: 'Missing required field: name'
+      });
+      expect(await request(ws, { op: 'resolve', id: 2, name: 'peer', type: 'MX' })).toMatchObject({
+        op: 'error',
+        statusCode: 400
+      });
+      expect(await request(ws, { op: 'nope', id: 3 })).toMatchObject({ error: 'Unknown op: nope' });
+
+      ws.send('not json');
+      expect(await next(ws)).toMatchObject({ op: 'error', error: 'Invalid message: expected a JSON object' });
+    });
+  });
+
+  describe('subscribe', () => {
+    test('should stream resolved events for subscribed names only', async () => {
+      const ws = await connect();
+      const ack = await request(ws, { op: 'subscribe', id: 's1', names: ['Peer', 'other.local'] });
+      expect(ack).toEqual({ op: 'subscribed', id: 's1', names: ['peer.local', 'other.local'] });
+
+      server.resolver._handleResponse({
+        answers: [
+          { name: 'unrelated.local', type: 'A', data: '192.168.1.9', ttl: 120 },
+          { name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }
+        ]
+      });
+
+      const event = await next(ws);
+      expect(event).toMatchObject({ op: 'resolved', name: 'peer.local', type: 'A', address: '192.168.1.100' });
+      expect(ws.messages).toEqual([]);
+    });
+
+    test('should stop events after unsubscribing', async () => {
+      const ws = await connect();
+      await request(ws, { op: 'subscribe', id: 1, names: ['peer.local'] });
+      await request(ws, { op: 'unsubscribe', id: 2, names: ['peer.local'] });
+
+      server.resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+
+      const reply = await request(ws, { op: 'subscribe', id: 3, names: ['later.local'] });
+      expect(reply.op).toBe('subscribed');
+      expect(ws.messages).toEqual([]);
+    });
+
+    test('should reject invalid names', async () => {
+      const ws = await connect();
+
+      expect(await request(ws, { op: 'subscribe', id: 1, names: ['a..b'] })).toMatchObject({
+        op: 'error',
+        statusCode: 400,
+        code: 'EINVALIDNAME'
+      });
+      expect(await request(ws, { op: 'subscribe', id: 2 })).toMatchObject({
+        error: 'Missing required field: names'
+      });
+    });
+
+    test('should share one resolver listener between connections', async () => {
+      const listeners = server.resolver.listenerCount('resolved');
+      const sockets = [];
+      for (let i = 0; i < 12; i++) {
+        const ws = await connect();
+        await request(ws, { op: 'subscribe', id: 1, names: ['peer.local'] });
+        sockets.push(ws);
+      }
+      expect(server.resolver.listenerCount('resolved')).toBe(listeners + 1);
+
+      server.resolver._handleResponse({
+        answers: [{ name: 'peer.local', type: 'A', data: '192.168.1.100', ttl: 120 }]
+      });
+      for (const ws of sockets) {
+        expect(await next(ws)).toMatchObject({ op: 'resolved', name: 'peer.local' });
+      }
+    });
+
+    test('should remove its listener when the connection closes', async () => {
+      const listeners = server.resolver.listenerCount('resolved');
+      const ws = await connect();
+      expect(server.resolver.listenerCount('resolved')).toBe(listeners + 1);
+
+      ws.close();
+      await new Promise((resolve) => ws.once('close', resolve));
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(server.resolver.listenerCount('resolved')).toBe(listeners);
+    });
+  });
+
+  describe('browse', () => {
+    const ptr = { name: '_http._tcp.local', type: 'PTR', data: 'My Printer._http._tcp.local', ttl: 120 };
+    const srv = {
+      name: 'My Printer._http._tcp.local',
+      type: 'SRV',
+      data: { priority: 0, weight: 0, port: 8080, target: 'printer.local' },
+      ttl: 120
+    };
+    const a = { name: 'printer.local', type: 'A', data: '192.168.1.40', ttl: 120 };
+
+    test('should send service discovery updates tagged with the request id', async () => {
+      const ws = await connect();
+      const ack = await request(ws, { op: 'browse', id: 'b1', service: '_http._tcp' });
+      expect(ack).toEqual({ op: 'browsing', id: 'b1', service: '_http._tcp.local' });
+
+      server.resolver._handleResponse({ answers: [ptr], additionals: [srv, a] });
+
+      const up = await next(ws);
+      expect(up).toMatchObject({
+        op: 'up',
+        id: 'b1',
+        service: { name: 'My Printer', host: 'printer.local', port: 8080, addresses: ['192.168.1.40'] }
+      });
+    });
+
+    test('should stop the browser on unbrowse and on close', async () => {
+      const ws = await connect();
+      await request(ws, { op: 'browse', id: 1, service: '_http._tcp' });
+      await request(ws, { op: 'browse', id: 2, service: '_ipp._tcp' });
+      expect(server.resolver.browsers.size).toBe(2);
+
+      expect(await request(ws, { op: 'unbrowse', id: 1 })).toEqual({ op: 'unbrowsed', id: 1 });
+      expect(server.resolver.browsers.size).toBe(1);
+
+      ws.close();
+      await new Promise((resolve) => ws.once('close', resolve));
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(server.resolver.browsers.size).toBe(0);
+    });
+
+    test('should reject duplicate ids and invalid service types', async () => {
+      const ws = await connect();
+      await request(ws, { op: 'browse', id: 1, service: '_http._tcp' });
+
+      expect(await request(ws, { op: 'browse', id: 1, service: '_ipp._tcp' })).toMatchObject({ statusCode: 400 });
+      expect(await request(ws, { op: 'browse', id: 2, service: 'http' })).toMatchObject({
+        error: 'Invalid service type: http'
+      });
+      expect(await request(ws, { op: 'unbrowse', id: 3 })).toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('connections', () => {
+    test('should close connections with 1001 when the server stops', async () => {
+      const ws = await connect();
+      const closed = new Promise((resolve) => ws.once('close', (code) => resolve(code)));
+
+      await server.stop();
+      expect(await closed).toBe(1001);
+
+      // afterEach stops it again
+      server = { stop: () => Promise.resolve() };
+    });
+
+    test('should close only the connection of a client that breaks the protocol', async () => {
+      const clientError = jest.fn();
+      server.resolver.on('client-error', clientError);
+
+      const socket = net.connect(server.server.address().port, '127.0.0.1');
+      socket.write([
+        'GET /ws HTTP/1.1',
+        'Host: 127.0.0.1',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+        'Sec-WebSocket-Version: 13',
+        '',
+        ''
+      ].join('\r\n'));
+      await new Promise((resolve) => socket.once('data', resolve));
+
+      // An unmasked text frame, which clients must never send
+      socket.write(Buffer.from([0x81, 0x02, 0x68, 0x69]));
+      await new Promise((resolve) => socket.on('close', resolve).resume());
+
+      expect(clientError).toHaveBeenCalledWith(expect.objectContaining({ code: 'WS_ERR_EXPECTED_MASK' }));
+      const ws = await connect();
+      expect(await request(ws, { op: 'subscribe', id: 1, names: ['peer'] })).toMatchObject({ op: 'subscribed' });
+    });
+
+    test('should close connections that send oversized messages', async () => {
+      server.resolver.on('client-error', () => {});
+      const ws = await connect();
+      const closed = new Promise((resolve) => ws.once('close', (code) => resolve(code)));
+
+      ws.send(JSON.stringify({ op: 'subscribe', id: 1, names: ['x'.repeat(70000)] }));
+
+      expect(await closed).toBe(1009);
+    });
+
+    test('should run middleware before upgrading', async () => {
+      server.api.use((req, res, next) => {
+        if (req.headers.authorization === 'Bearer secret') {
+          next();
+        } else if (req.headers.authorization) {
+          next(Object.assign(new Error('Forbidden'), { statusCode: 403 }));
+        } else {
+          server.api.sendError(res, 401, 'Unauthorized');
+        }
+      });
+
+      await expect(connect()).rejects.toThrow('Unexpected server response: 401');
+
+      const forbidden = new WebSocket(`${url.replace('http', 'ws')}/ws`, { headers: { authorization: 'Bearer nope' } });
+      await expect(new Promise((resolve, reject) => {
+        forbidden.once('open', resolve);
+        forbidden.once('error', reject);
+      })).rejects.toThrow('Unexpected server response: 403');
+
+      const ws = new WebSocket(`${url.replace('http', 'ws')}/ws`, { headers: { authorization: 'Bearer secret' } });
+      clients.push(ws);
+      await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+      });
+    });
+
+    test('should refuse upgrades for other paths', async () => {
+      await expect(connect('/nope')).rejects.toThrow('Unexpected server response: 404');
+    });
+
+    test('should answer plain requests to /ws with 426', async () => {
+      const res = await fetch(`${url}/ws`);
+      expect(res.status).toBe(426);
+    });
+
+    test('should pass other upgrades to next when mounted', async () => {
+      const other = http.createServer();
+      const next = jest.fn((req, socket) => socket.destroy());
+      other.on('upgrade', (req, socket, head) => server.api.handleUpgrade(req, socket, head, () => next(req, socket)));
+      await new Promise((resolve) => other.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const ws = new WebSocket(`ws://127.0.0.1:${other.address().port}/elsewhere`);
+        await new Promise((resolve) => ws.once('error', resolve));
+        expect(next).toHaveBeenCalled();
+      } finally {
+        await new Promise((resolve) => other.close(resolve));
+      }
+    });
+  });
+});